@@ -0,0 +1,4387 @@
+const express = require('express');
+const cors = require('cors');
+const admin = require('firebase-admin');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { Readable } = require('stream');
+const { createJobQueue, permanentJobError, describeJob } = require('./jobs');
+const { logger, logContext, withLogContext } = require('./logger');
+const { createCircuitBreaker, protectStorage, protectFirestore, isDependencyUnavailable } = require('./breaker');
+const { rateLimit } = require('./ratelimit');
+const {
+  register: metricsRegister,
+  httpRequestDuration,
+  ffprobeDuration,
+  recordUpload,
+  instrumentStorage,
+  instrumentFirestore,
+} = require('./metrics');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const fsp = require('fs/promises');
+const os = require('os');
+
+// Helper function to parse duration (mm:ss, hh:mm:ss, Xmin, or invalid formats)
+function parseDurationToSeconds(duration) {
+  if (!duration || duration === '00:00' || duration === '00:00:00' || duration === '0min') {
+    logger.warn(`Invalid or zero duration: ${duration}, returning 0 seconds`);
+    return 0;
+  }
+  try {
+    logger.debug(`Parsing duration: ${duration}`);
+    if (duration.includes('min') || duration.includes('hr')) {
+      const parts = duration.split(' ');
+      let totalSeconds = 0;
+      for (const part of parts) {
+        if (part.includes('hr')) {
+          totalSeconds += (parseInt(part.replace('hr', '')) || 0) * 3600;
+        } else if (part.includes('min')) {
+          totalSeconds += (parseInt(part.replace('min', '')) || 0) * 60;
+        }
+      }
+      logger.debug(`Parsed as ${totalSeconds} seconds`);
+      return totalSeconds;
+    }
+    const parts = duration.split(':').map(Number);
+    logger.debug(`Split parts: ${parts}`);
+    if (parts.length === 2) {
+      return parts[0] * 60 + parts[1];
+    } else if (parts.length === 3) {
+      return parts[0] * 3600 + parts[1] * 60 + parts[2];
+    }
+    logger.warn(`Invalid duration format: ${duration}`);
+    return 0;
+  } catch (err) {
+    logger.error(`Error parsing duration "${duration}": ${err.message}`);
+    return 0;
+  }
+}
+
+// Helper function to convert seconds to mm:ss or hh:mm:ss
+function formatSecondsToDuration(seconds) {
+  if (!seconds || seconds <= 0) {
+    logger.debug(`Formatting ${seconds}s to 00:00`);
+    return '00:00';
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const formatted = hours > 0
+    ? `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
+    : `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  logger.debug(`Formatting ${seconds}s to ${formatted}`);
+  return formatted;
+}
+
+// Helper function to read a content's duration in seconds, migrating legacy "mm:ss" strings
+function getContentSeconds(content) {
+  if (content?.type !== 'video') return 0;
+  return Number.isInteger(content.durationSeconds) ? content.durationSeconds : parseDurationToSeconds(content.duration);
+}
+
+// Helper function to read a section's or course's total in seconds, migrating legacy totalLength strings
+function getTotalSeconds(data) {
+  return Number.isInteger(data?.totalSeconds) ? data.totalSeconds : parseDurationToSeconds(data?.totalLength);
+}
+
+// Helper function to build the stored total fields; totalLength is always derived from totalSeconds
+function totalFields(totalSeconds) {
+  const seconds = Math.max(0, totalSeconds);
+  return {
+    totalSeconds: seconds,
+    totalLength: formatSecondsToDuration(seconds),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+// Function to ffprobe a video, resolving its metadata or null when it can't be read
+// (input is an in-memory buffer or a URL ffprobe can read)
+async function probeVideo(filePath, input) {
+  const endTimer = ffprobeDuration.startTimer();
+  return new Promise((resolve) => {
+    try {
+      const source = Buffer.isBuffer(input) ? Readable.from(input) : input;
+      ffmpeg(source)
+        .ffprobe((err, metadata) => {
+          if (err) {
+            endTimer({ outcome: 'error' });
+            logger.error(`ffprobe error for ${filePath}`, { err });
+            resolve(null);
+            return;
+          }
+          endTimer({ outcome: 'success' });
+          logger.info(`ffprobe metadata for ${filePath}`, {
+            duration: metadata.format?.duration,
+            format: metadata.format?.format_name,
+            size: metadata.format?.size,
+            streams: metadata.streams?.map(s => ({
+              codec_type: s.codec_type,
+              codec_name: s.codec_name,
+              duration: s.duration
+            })),
+          });
+          resolve(metadata);
+        });
+    } catch (err) {
+      endTimer({ outcome: 'error' });
+      logger.error(`Error processing ${filePath} with ffmpeg`, { err });
+      resolve(null);
+    }
+  });
+}
+
+// Helper function to read an integer setting from the environment
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+}
+
+// Per-type upload limits, configurable through the environment
+const UPLOAD_LIMITS = {
+  video: {
+    maxBytes: envInt('MAX_VIDEO_BYTES', 4 * 1024 * 1024 * 1024),
+    minDurationSeconds: 1,
+    maxDurationSeconds: envInt('MAX_VIDEO_DURATION_SECONDS', 4 * 3600),
+  },
+  pdf: {
+    maxBytes: envInt('MAX_PDF_BYTES', 100 * 1024 * 1024),
+    maxPages: envInt('MAX_PDF_PAGES', 2000),
+  },
+  thumbnail: {
+    maxBytes: envInt('MAX_THUMBNAIL_BYTES', 5 * 1024 * 1024),
+    minWidth: envInt('MIN_THUMBNAIL_WIDTH', 320),
+    minHeight: envInt('MIN_THUMBNAIL_HEIGHT', 180),
+    maxWidth: envInt('MAX_THUMBNAIL_WIDTH', 4096),
+    maxHeight: envInt('MAX_THUMBNAIL_HEIGHT', 4096),
+  },
+  caption: {
+    maxBytes: envInt('MAX_CAPTION_BYTES', 2 * 1024 * 1024),
+    maxCues: envInt('MAX_CAPTION_CUES', 20000),
+  },
+};
+
+// /upload buffers the whole file in memory, so it takes files up to this size; bigger ones go through
+// resumable upload sessions (POST /uploads)
+const MAX_FORM_UPLOAD_BYTES = envInt('MAX_FORM_UPLOAD_BYTES', 200 * 1024 * 1024);
+
+// Requests per window on the upload and signed-URL routes, per client IP and per uid; 0 turns a limit off.
+// Starting a resumable upload session counts against the upload limits.
+const RATE_LIMITS = {
+  upload: {
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', 60 * 1000),
+    perIp: envInt('UPLOAD_RATE_LIMIT_PER_IP', 120),
+    perUid: envInt('UPLOAD_RATE_LIMIT_PER_UID', 30),
+  },
+  fileUrl: {
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', 60 * 1000),
+    perIp: envInt('FILE_URL_RATE_LIMIT_PER_IP', 600),
+    perUid: envInt('FILE_URL_RATE_LIMIT_PER_UID', 300),
+  },
+};
+
+// Per-uploader storage quotas. Uploaded videos, PDFs and captions count towards storageUsage/{uid}.bytesUsed:
+// space is reserved before a file goes to storage and given back when the content or caption track that
+// references it is deleted or replaced. Course thumbnails and files generated from videos (HLS, previews) are
+// not counted. A quotaBytes field on the usage document (set by admins) overrides the default.
+const STORAGE_QUOTA_BYTES = envInt('STORAGE_QUOTA_BYTES', 20 * 1024 * 1024 * 1024);
+
+// Formats sniffed from magic bytes that each upload type accepts
+const ACCEPTED_FORMATS = {
+  video: ['mp4', 'mov', 'avi'],
+  pdf: ['pdf'],
+  thumbnail: ['jpeg', 'png'],
+  caption: ['vtt', 'srt'],
+};
+const ACCEPTED_VIDEO_CONTAINERS = ['mov', 'mp4', 'avi'];
+const ACCEPTED_VIDEO_CODECS = ['h264', 'hevc', 'mpeg4', 'vp9', 'av1', 'prores', 'mjpeg'];
+
+// Helper function to build a structured upload rejection ({ status, code, error, details })
+function uploadRejection(code, error, details, status = 400) {
+  logger.warn(`Upload rejected (${code})`, { details });
+  return { status, code, error, details };
+}
+
+// Helper function to identify a file's format from its leading magic bytes
+function sniffFileType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'AVI ') return 'avi';
+  // ISO base media (MP4/MOV) starts with a box whose type is at offset 4
+  const boxType = buffer.toString('latin1', 4, 8);
+  if (boxType === 'ftyp') {
+    return buffer.toString('latin1', 8, 12) === 'qt  ' ? 'mov' : 'mp4';
+  }
+  if (['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'].includes(boxType)) return 'mov';
+  if (buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) return 'pdf';
+  // Caption formats are text: WebVTT has a fixed header, SRT starts with a cue number and a timing line
+  const text = buffer.subarray(0, 128).toString('utf8').replace(/^\uFEFF/, '');
+  if (/^WEBVTT(?:[ \t]|\r?\n)/.test(text)) return 'vtt';
+  if (/^\s*\d+\r?\n\d+:\d{2}:\d{2}[,.]\d{3}\s+-->/.test(text)) return 'srt';
+  return null;
+}
+
+// Helper function to check size and magic bytes before anything is stored
+function checkUploadSignature(type, size, head) {
+  const limits = UPLOAD_LIMITS[type];
+  if (size > limits.maxBytes) {
+    return uploadRejection('FILE_TOO_LARGE', 'File too large', `Maximum size for ${type} is ${limits.maxBytes} bytes`, 413);
+  }
+  const format = sniffFileType(head);
+  if (!ACCEPTED_FORMATS[type].includes(format)) {
+    return uploadRejection('CONTENT_TYPE_MISMATCH', 'File content does not match type', `Expected ${ACCEPTED_FORMATS[type].join(', ')}, detected ${format || 'unknown'}`);
+  }
+  return { format };
+}
+
+// Helper function to check ffprobe metadata for a supported container, codec and duration
+function checkVideoMetadata(metadata) {
+  if (!metadata) {
+    return uploadRejection('VIDEO_UNREADABLE', 'Video could not be read', 'ffprobe failed to read the file');
+  }
+  const containers = (metadata.format?.format_name || '').split(',');
+  if (!containers.some((name) => ACCEPTED_VIDEO_CONTAINERS.includes(name))) {
+    return uploadRejection('VIDEO_UNSUPPORTED_CONTAINER', 'Unsupported video container', `Container ${metadata.format?.format_name || 'unknown'} is not supported`);
+  }
+  const videoStream = metadata.streams?.find((s) => s.codec_type === 'video');
+  if (!videoStream) {
+    return uploadRejection('VIDEO_NO_VIDEO_STREAM', 'No video stream', 'The file contains no video stream');
+  }
+  if (!ACCEPTED_VIDEO_CODECS.includes(videoStream.codec_name)) {
+    return uploadRejection('VIDEO_UNSUPPORTED_CODEC', 'Unsupported video codec', `Codec ${videoStream.codec_name} is not supported`);
+  }
+  const limits = UPLOAD_LIMITS.video;
+  const duration = parseFloat(metadata.format?.duration);
+  if (!duration || isNaN(duration) || duration < limits.minDurationSeconds) {
+    return uploadRejection('VIDEO_NO_DURATION', 'Video duration could not be determined', `Duration: ${metadata.format?.duration || 'undefined'}`);
+  }
+  const durationSeconds = Math.round(duration);
+  if (durationSeconds > limits.maxDurationSeconds) {
+    return uploadRejection('VIDEO_TOO_LONG', 'Video too long', `Maximum duration is ${limits.maxDurationSeconds} seconds`);
+  }
+  return { durationSeconds, codec: videoStream.codec_name, width: videoStream.width, height: videoStream.height };
+}
+
+// Helper function to count PDF pages. Page objects inside compressed object streams are only
+// visible after inflating them, so those are scanned when the plain text has none.
+function countPdfPages(buffer) {
+  const pagePattern = /\/Type\s*\/Page(?![a-zA-Z])/g;
+  const text = buffer.toString('latin1');
+  let pageCount = (text.match(pagePattern) || []).length;
+  if (pageCount > 0) return pageCount;
+
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(text)) !== null) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end === -1) break;
+    try {
+      const inflated = zlib.inflateSync(buffer.subarray(start, end)).toString('latin1');
+      pageCount += (inflated.match(pagePattern) || []).length;
+    } catch (err) {
+      // Not a Flate stream (images, fonts, ...)
+    }
+    streamPattern.lastIndex = end;
+  }
+  return pageCount;
+}
+
+// Helper function to parse a PDF's header and page count and enforce page limits
+function checkPdf(buffer) {
+  const head = buffer.subarray(0, 1024).toString('latin1');
+  const versionMatch = head.match(/%PDF-(\d\.\d)/);
+  if (!versionMatch) {
+    return uploadRejection('PDF_INVALID_HEADER', 'Invalid PDF', 'Missing %PDF- header');
+  }
+  if (!buffer.subarray(-1024).toString('latin1').includes('%%EOF')) {
+    return uploadRejection('PDF_TRUNCATED', 'Invalid PDF', 'Missing %%EOF marker; the file looks truncated');
+  }
+  const pageCount = countPdfPages(buffer);
+  if (pageCount === 0) {
+    return uploadRejection('PDF_NO_PAGES', 'Invalid PDF', 'No pages found');
+  }
+  if (pageCount > UPLOAD_LIMITS.pdf.maxPages) {
+    return uploadRejection('PDF_TOO_MANY_PAGES', 'PDF has too many pages', `Maximum is ${UPLOAD_LIMITS.pdf.maxPages} pages`);
+  }
+  return { pdfVersion: versionMatch[1], pageCount };
+}
+
+// Helper function to read width/height from a PNG IHDR chunk or a JPEG SOF marker
+function getImageDimensions(buffer, format) {
+  if (format === 'png') {
+    if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    // Standalone markers carry no length
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2;
+      continue;
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+// Helper function to decode thumbnail dimensions and enforce size bounds
+function checkThumbnail(buffer, format) {
+  const dimensions = getImageDimensions(buffer, format);
+  if (!dimensions) {
+    return uploadRejection('IMAGE_UNREADABLE', 'Invalid image', 'Could not decode image dimensions');
+  }
+  const limits = UPLOAD_LIMITS.thumbnail;
+  if (dimensions.width < limits.minWidth || dimensions.height < limits.minHeight) {
+    return uploadRejection('IMAGE_TOO_SMALL', 'Thumbnail too small', `Minimum is ${limits.minWidth}x${limits.minHeight}, got ${dimensions.width}x${dimensions.height}`);
+  }
+  if (dimensions.width > limits.maxWidth || dimensions.height > limits.maxHeight) {
+    return uploadRejection('IMAGE_TOO_LARGE', 'Thumbnail too large', `Maximum is ${limits.maxWidth}x${limits.maxHeight}, got ${dimensions.width}x${dimensions.height}`);
+  }
+  return dimensions;
+}
+
+// Caption tracks are stored as WebVTT (SRT uploads are converted) under videos/vid_<uuid>/captions/,
+// one track per language, and listed in the content's captions array.
+const CAPTION_KINDS = ['captions', 'subtitles'];
+// BCP 47 tags such as en, pt-BR or zh-Hant
+const CAPTION_LANGUAGE_PATTERN = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+// Probed durations are rounded to whole seconds, so cues may end slightly past them
+const CAPTION_DURATION_TOLERANCE_SECONDS = 1;
+
+// Helper function to parse a caption timestamp ([hh:]mm:ss.mmm, or hh:mm:ss,mmm in SRT) into seconds
+function parseCaptionTimestamp(value) {
+  const match = value.match(/^(?:(\d+):)?([0-5]\d):([0-5]\d)[.,](\d{3})$/);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + parseInt(millis, 10) / 1000;
+}
+
+// Helper function to parse SRT or WebVTT text into cues ({ id, start, end, settings, text }).
+// WebVTT header, NOTE, STYLE and REGION blocks are skipped.
+function parseCaptions(text, format) {
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n(?:[ \t]*\n)+/);
+  if (format === 'vtt') blocks.shift();
+  const cues = [];
+  for (const block of blocks) {
+    const trimmed = block.replace(/^\n+|\s+$/g, '');
+    if (trimmed === '') continue;
+    const lines = trimmed.split('\n');
+    if (/^(NOTE|STYLE|REGION)(?:\s|$)/.test(lines[0])) continue;
+    const timingIndex = lines[0].includes('-->') ? 0 : 1;
+    const timing = lines[timingIndex]?.match(/^(\S+)\s+-->\s+(\S+)(.*)$/);
+    if (!timing) {
+      return uploadRejection('CAPTION_INVALID_CUE', 'Invalid caption file', `Cue ${cues.length + 1} has no timing line`);
+    }
+    const start = parseCaptionTimestamp(timing[1]);
+    const end = parseCaptionTimestamp(timing[2]);
+    if (start === null || end === null) {
+      return uploadRejection('CAPTION_INVALID_TIMESTAMP', 'Invalid caption file', `Cue ${cues.length + 1} has a malformed timestamp: ${lines[timingIndex]}`);
+    }
+    if (end <= start) {
+      return uploadRejection('CAPTION_INVALID_TIMESTAMP', 'Invalid caption file', `Cue ${cues.length + 1} ends before it starts: ${lines[timingIndex]}`);
+    }
+    cues.push({
+      id: timingIndex === 1 && format === 'vtt' ? lines[0] : null,
+      start,
+      end,
+      settings: format === 'vtt' ? timing[3].trim() : '',
+      text: lines.slice(timingIndex + 1).join('\n'),
+    });
+  }
+  return { cues };
+}
+
+// Helper function to convert SRT cue text to WebVTT: <font> tags and {\an8}-style overrides have no WebVTT
+// equivalent and are dropped, and a "-->" inside cue text would be read as a timing line
+function convertSrtText(text) {
+  return text
+    .replace(/<\/?font[^>]*>/gi, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/-->/g, '--&gt;');
+}
+
+// Helper function to validate an SRT/WebVTT upload and return it as WebVTT with its cue stats.
+// The duration check against the video happens once the content is loaded.
+function checkCaptions(buffer, format) {
+  const text = buffer.toString('utf8');
+  if (text.includes('\uFFFD')) {
+    return uploadRejection('CAPTION_NOT_UTF8', 'Invalid caption file', 'Caption files must be UTF-8 encoded');
+  }
+  const parsed = parseCaptions(text, format);
+  if (parsed.error) return parsed;
+  const { cues } = parsed;
+  if (cues.length === 0) {
+    return uploadRejection('CAPTION_NO_CUES', 'Invalid caption file', 'No cues found');
+  }
+  if (cues.length > UPLOAD_LIMITS.caption.maxCues) {
+    return uploadRejection('CAPTION_TOO_MANY_CUES', 'Caption file has too many cues', `Maximum is ${UPLOAD_LIMITS.caption.maxCues} cues`);
+  }
+
+  const lastCueEnd = Math.max(...cues.map((cue) => cue.end));
+  if (format === 'vtt') {
+    return { vtt: text.replace(/^\uFEFF/, ''), cueCount: cues.length, lastCueEnd, sourceFormat: 'vtt' };
+  }
+  const vttCues = [...cues]
+    .sort((a, b) => a.start - b.start)
+    .map((cue) => `${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}\n${convertSrtText(cue.text)}`);
+  return { vtt: `WEBVTT\n\n${vttCues.join('\n\n')}\n`, cueCount: cues.length, lastCueEnd, sourceFormat: 'srt' };
+}
+
+// Validation stage for an in-memory upload: magic bytes first, then the type-specific checks.
+// Videos only get the magic-byte check here; ffprobe runs later in the probe-video job.
+async function validateUploadBuffer(type, filePath, buffer) {
+  const signature = checkUploadSignature(type, buffer.length, buffer);
+  if (signature.error) return signature;
+  if (type === 'video') return {};
+  if (type === 'pdf') return checkPdf(buffer);
+  if (type === 'caption') return checkCaptions(buffer, signature.format);
+  return checkThumbnail(buffer, signature.format);
+}
+
+// Helper function to send a structured upload rejection
+function sendUploadRejection(res, rejection) {
+  return res.status(rejection.status || 400).json({
+    error: rejection.error,
+    code: rejection.code,
+    details: rejection.details,
+  });
+}
+
+// Helper function to answer multer's limit errors on /upload instead of leaving them to Express's default handler
+function handleUploadFormError(err, req, res, next) {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return sendUploadRejection(res, uploadRejection(
+      'FILE_TOO_LARGE',
+      'File too large',
+      `Files over ${MAX_FORM_UPLOAD_BYTES} bytes must use a resumable upload session (POST /uploads)`,
+      413,
+    ));
+  }
+  logger.warn('Invalid upload form', { code: err.code, field: err.field });
+  return res.status(400).json({ error: 'Invalid upload form', code: err.code, details: err.message });
+}
+
+// Helper function to add up the stored bytes a content accounts for, per uploader (its file and caption tracks).
+// Pass a map to add to when totalling several contents.
+function getStoredBytesByUploader(content, bytes = new Map()) {
+  const add = (uid, size) => {
+    if (uid && size > 0) bytes.set(uid, (bytes.get(uid) || 0) + size);
+  };
+  add(content.uploader, content.fileSize);
+  for (const track of content.captions || []) {
+    add(track.uploadedBy, track.size);
+  }
+  return bytes;
+}
+
+// Helper function to shape a storageUsage document for API responses
+function describeStorageUsage(uid, usage = {}) {
+  const quotaBytes = usage.quotaBytes ?? STORAGE_QUOTA_BYTES;
+  const bytesUsed = Math.max(0, usage.bytesUsed || 0);
+  return {
+    uid,
+    bytesUsed,
+    quotaBytes,
+    bytesRemaining: Math.max(0, quotaBytes - bytesUsed),
+    customQuota: usage.quotaBytes != null,
+    updatedAt: usage.updatedAt?.toDate?.().toISOString() ?? null,
+  };
+}
+
+// Helper function to reject a file that doesn't fit in the remaining quota
+function checkQuota(usage, bytes) {
+  if (usage.bytesUsed + bytes <= usage.quotaBytes) return {};
+  return uploadRejection(
+    'QUOTA_EXCEEDED',
+    'Storage quota exceeded',
+    `The file needs ${bytes} bytes, ${usage.bytesRemaining} of your ${usage.quotaBytes} bytes are left`,
+    413,
+  );
+}
+
+// Helper function to build the storage path for an uploaded file, validating its extension
+function buildFilePath(type, originalName, uuid) {
+  const fileExtension = path.extname(originalName || '').toLowerCase();
+  if (type === 'video') {
+    if (!['.mp4', '.mov', '.avi'].includes(fileExtension)) {
+      logger.warn('Invalid video format', { fileExtension });
+      return { code: 'INVALID_EXTENSION', error: 'Invalid video format', details: 'Only MP4, MOV, or AVI allowed' };
+    }
+    return { filePath: `videos/vid_${uuid}${fileExtension}` };
+  }
+  if (type === 'pdf') {
+    if (fileExtension !== '.pdf') {
+      logger.warn('Invalid PDF format', { fileExtension });
+      return { code: 'INVALID_EXTENSION', error: 'Invalid file format', details: 'Only PDF allowed' };
+    }
+    return { filePath: `pdfs/pdf_${uuid}${fileExtension}` };
+  }
+  if (!['.jpg', '.jpeg', '.png'].includes(fileExtension)) {
+    logger.warn('Invalid thumbnail format', { fileExtension });
+    return { code: 'INVALID_EXTENSION', error: 'Invalid thumbnail format', details: 'Only JPG or PNG allowed' };
+  }
+  return { filePath: `thumbnails/thumb_${uuid}${fileExtension}` };
+}
+
+// HLS ladder produced for every uploaded video; renditions taller than the source are skipped
+const HLS_RENDITIONS = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+];
+const HLS_SEGMENT_SECONDS = 6;
+
+// Helper function to get the per-video prefix that derived assets (HLS, previews) live under
+function getVideoAssetPrefix(filePath) {
+  return filePath.replace(/\.[^/.]+$/, '');
+}
+
+// Helper function to run a fluent-ffmpeg command to completion
+function runFfmpeg(command) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+// Helper function to ffprobe a local file
+function probeLocalFile(localPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(localPath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+  });
+}
+
+// Transcode a local video into an HLS ladder under outputDir and return the renditions produced
+async function transcodeToHls(localPath, outputDir) {
+  const metadata = await probeLocalFile(localPath);
+  const videoStream = metadata.streams?.find((s) => s.codec_type === 'video');
+  if (!videoStream?.width || !videoStream?.height) {
+    throw new Error('No video stream found');
+  }
+  const hasAudio = metadata.streams.some((s) => s.codec_type === 'audio');
+
+  let renditions = HLS_RENDITIONS.filter((r) => r.height <= videoStream.height);
+  if (renditions.length === 0) {
+    renditions = [{ ...HLS_RENDITIONS[0], name: `${videoStream.height}p`, height: videoStream.height }];
+  }
+
+  const produced = [];
+  for (const rendition of renditions) {
+    const renditionDir = path.join(outputDir, rendition.name);
+    await fsp.mkdir(renditionDir, { recursive: true });
+    const width = Math.round((rendition.height * videoStream.width) / videoStream.height / 2) * 2;
+    logger.info(`Transcoding ${rendition.name} (${width}x${rendition.height})`);
+    await runFfmpeg(
+      ffmpeg(localPath)
+        .outputOptions([
+          '-map', '0:v:0',
+          ...(hasAudio ? ['-map', '0:a:0', '-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2'] : []),
+          '-vf', `scale=${width}:${rendition.height}`,
+          '-c:v', 'libx264',
+          '-preset', 'veryfast',
+          '-profile:v', 'main',
+          '-b:v', `${rendition.videoBitrate}k`,
+          '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+          '-bufsize', `${rendition.videoBitrate * 2}k`,
+          '-g', '48',
+          '-keyint_min', '48',
+          '-sc_threshold', '0',
+          '-hls_time', String(HLS_SEGMENT_SECONDS),
+          '-hls_playlist_type', 'vod',
+          '-hls_segment_filename', path.join(renditionDir, 'segment_%03d.ts'),
+          '-f', 'hls',
+        ])
+        .output(path.join(renditionDir, 'index.m3u8'))
+    );
+    produced.push({ ...rendition, width });
+  }
+
+  const masterPlaylist = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    ...produced.flatMap((r) => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${(r.videoBitrate + (hasAudio ? r.audioBitrate : 0)) * 1000},RESOLUTION=${r.width}x${r.height}`,
+      `${r.name}/index.m3u8`,
+    ]),
+    '',
+  ].join('\n');
+  await fsp.writeFile(path.join(outputDir, 'master.m3u8'), masterPlaylist);
+
+  return produced.map((r) => r.name);
+}
+
+// Seek-preview sprite settings: one 160x90 tile every PREVIEW_MIN_INTERVAL seconds or more,
+// capped at PREVIEW_MAX_TILES tiles so long lectures still produce a single reasonable image
+const PREVIEW_TILE_WIDTH = 160;
+const PREVIEW_TILE_HEIGHT = 90;
+const PREVIEW_COLUMNS = 10;
+const PREVIEW_MIN_INTERVAL = 5;
+const PREVIEW_MAX_TILES = 100;
+
+// Helper function to convert seconds to a WebVTT timestamp (hh:mm:ss.mmm)
+function formatVttTimestamp(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
+}
+
+// Grab a poster frame and a tiled seek-preview sprite with its WebVTT thumbnails track into outputDir.
+// With sprite: false only the poster is grabbed.
+async function generateVideoPreviews(localPath, outputDir, { sprite = true } = {}) {
+  const metadata = await probeLocalFile(localPath);
+  const duration = parseFloat(metadata.format?.duration);
+  if (!duration || isNaN(duration)) {
+    throw new Error('Unable to determine video duration');
+  }
+  await fsp.mkdir(outputDir, { recursive: true });
+
+  // Poster: 10% into the video (capped at 30s) skips most black intro frames
+  await runFfmpeg(
+    ffmpeg(localPath)
+      .seekInput(Math.min(duration * 0.1, 30))
+      .outputOptions(['-frames:v', '1', '-q:v', '2', '-vf', "scale='min(1280,iw)':-2"])
+      .output(path.join(outputDir, 'poster.jpg'))
+  );
+  if (!sprite) {
+    logger.info(`Generated poster for ${localPath}`);
+    return;
+  }
+
+  const interval = Math.max(PREVIEW_MIN_INTERVAL, Math.ceil(duration / PREVIEW_MAX_TILES));
+  const tileCount = Math.max(1, Math.ceil(duration / interval));
+  const columns = Math.min(PREVIEW_COLUMNS, tileCount);
+  const rows = Math.ceil(tileCount / columns);
+  await runFfmpeg(
+    ffmpeg(localPath)
+      .outputOptions([
+        '-vf', [
+          `fps=1/${interval}`,
+          `scale=${PREVIEW_TILE_WIDTH}:${PREVIEW_TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+          `pad=${PREVIEW_TILE_WIDTH}:${PREVIEW_TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+          `tile=${columns}x${rows}`,
+        ].join(','),
+        '-frames:v', '1',
+        '-q:v', '5',
+      ])
+      .output(path.join(outputDir, 'sprite.jpg'))
+  );
+
+  const cues = ['WEBVTT', ''];
+  for (let i = 0; i < tileCount; i++) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+    const x = (i % columns) * PREVIEW_TILE_WIDTH;
+    const y = Math.floor(i / columns) * PREVIEW_TILE_HEIGHT;
+    cues.push(`${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}`);
+    cues.push(`sprite.jpg#xywh=${x},${y},${PREVIEW_TILE_WIDTH},${PREVIEW_TILE_HEIGHT}`);
+    cues.push('');
+  }
+  await fsp.writeFile(path.join(outputDir, 'thumbnails.vtt'), cues.join('\n'));
+  logger.info(`Generated poster and ${tileCount}-tile preview sprite for ${localPath}`);
+}
+
+// Storage paths and quiz questions on a content document that are hidden from callers without access
+const PROTECTED_CONTENT_FIELDS = ['backblazePath', 'hlsPath', 'posterPath', 'spritePath', 'thumbnailsVttPath', 'questions'];
+
+// Roles are stored as the "role" custom claim. Tokens minted before roles existed only carry admin: true,
+// which still counts as the admin role; callers without a role claim are students.
+const ROLES = ['student', 'instructor', 'admin'];
+
+// Helper function to read the caller's role from a decoded ID token
+function getRole(user) {
+  if (user?.admin === true || user?.role === 'admin') return 'admin';
+  return ROLES.includes(user?.role) ? user.role : 'student';
+}
+
+// Helper function to check the admin custom claim on a decoded ID token
+function isAdmin(user) {
+  return getRole(user) === 'admin';
+}
+
+// Helper function to check whether the caller may create and teach courses
+function isInstructor(user) {
+  return ['instructor', 'admin'].includes(getRole(user));
+}
+
+// Helper function to decide whether the caller may open a content's files.
+// Courses created before ownership was recorded fall back to the content's uploader.
+function canViewContent(access, content, user) {
+  return content.freePreview === true || !!access || (!!user && content.uploader === user.uid);
+}
+
+// Helper function to strip storage paths from a content the caller may not open
+function redactContent(content, canView) {
+  if (canView) return content;
+  const redacted = { ...content, locked: true };
+  for (const field of PROTECTED_CONTENT_FIELDS) {
+    delete redacted[field];
+  }
+  // Locked contents still list which caption languages exist
+  if (content.captions) {
+    redacted.captions = content.captions.map(({ path: trackPath, fileId, ...track }) => track);
+  }
+  return redacted;
+}
+
+// Resumable upload sessions backed by the storage driver's multipart API (B2 large files, S3 multipart uploads).
+// Parts are tracked in Firestore (uploadSessions/{sessionId}) so clients can resume after a dropped connection.
+const UPLOAD_PART_SIZE = parseInt(process.env.UPLOAD_PART_SIZE, 10) || 16 * 1024 * 1024;
+const MIN_UPLOAD_PART_SIZE = 5 * 1024 * 1024; // B2/S3 minimum for every part except the last
+const MAX_UPLOAD_PART_SIZE = 100 * 1024 * 1024;
+const MAX_UPLOAD_PARTS = 10000;
+
+// Helper function to describe the progress of an upload session
+function describeUploadSession(sessionId, session) {
+  const uploadedParts = Object.keys(session.parts || {}).map(Number).sort((a, b) => a - b);
+  const missingParts = [];
+  for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+    if (!session.parts?.[partNumber]) missingParts.push(partNumber);
+  }
+  return {
+    sessionId,
+    status: session.status,
+    type: session.type,
+    filePath: session.filePath,
+    fileSize: session.fileSize,
+    partSize: session.partSize,
+    totalParts: session.totalParts,
+    uploadedParts,
+    missingParts,
+  };
+}
+
+// Catalog query settings
+const CATALOG_DEFAULT_LIMIT = 20;
+const CATALOG_MAX_LIMIT = 100;
+const CATALOG_SORT_FIELDS = { createdAt: 'createdAt', totalLength: 'totalSeconds' };
+const COURSE_SUMMARY_FIELDS = ['title', 'description', 'thumbnailUrl', 'uploader', 'totalSeconds', 'totalLength', 'createdAt', 'updatedAt'];
+
+// Helper function to reduce a course document to the catalog summary shape
+function toCourseSummary(doc) {
+  const data = doc.data();
+  const summary = { id: doc.id };
+  for (const field of COURSE_SUMMARY_FIELDS) {
+    if (data[field] !== undefined) summary[field] = data[field];
+  }
+  return summary;
+}
+
+// Fields the management routes accept; everything else is maintained by the server
+const COURSE_EDITABLE_FIELDS = ['title', 'description'];
+const SECTION_EDITABLE_FIELDS = ['title', 'order'];
+const CONTENT_EDITABLE_FIELDS = ['title', 'order', 'freePreview'];
+
+// Helper function to pick editable fields from a request body, coercing order and freePreview
+function pickEditableFields(body, fields) {
+  const updates = {};
+  for (const field of fields) {
+    if (body[field] === undefined) continue;
+    if (field === 'order') {
+      const order = parseInt(body.order, 10);
+      if (isNaN(order)) return { error: 'Invalid order', details: 'order must be an integer' };
+      updates.order = order;
+    } else if (field === 'freePreview') {
+      updates.freePreview = body.freePreview === true || body.freePreview === 'true';
+    } else {
+      updates[field] = body[field];
+    }
+  }
+  return { updates };
+}
+
+// Courses, sections and contents are 'draft' until published. Documents written before publishing existed
+// have no status and count as published. Publishing freezes the course tree into courses/{id}/versions/{n}.
+const CONTENT_DEFAULT_TITLE = 'Untitled';
+
+// Helper function to check whether a course, section or content is visible to students
+function isPublished(data) {
+  return (data?.status || 'published') === 'published';
+}
+
+// Helper function to check whether a course access level may see and edit drafts
+function canManageCourse(access) {
+  return ['owner', 'instructor', 'admin'].includes(access);
+}
+
+// Helper function to list what keeps a course tree from being published.
+// sections is [{ id, data, contents: [{ id, data }] }]; returns [{ code, message, sectionId?, contentId? }].
+function findPublishProblems(course, sections) {
+  const problems = [];
+  if (!course.title?.trim()) {
+    problems.push({ code: 'COURSE_NO_TITLE', message: 'The course needs a title' });
+  }
+  if (!course.thumbnailUrl) {
+    problems.push({ code: 'COURSE_NO_THUMBNAIL', message: 'The course needs a thumbnail' });
+  }
+  if (!sections.some((section) => section.contents.length > 0)) {
+    problems.push({ code: 'COURSE_EMPTY', message: 'The course has no contents' });
+  }
+  for (const section of sections) {
+    const sectionId = section.id;
+    if (!section.data.title?.trim()) {
+      problems.push({ code: 'SECTION_NO_TITLE', message: `Section ${sectionId} needs a title`, sectionId });
+    }
+    if (section.contents.length === 0) {
+      problems.push({ code: 'SECTION_EMPTY', message: `Section ${sectionId} has no contents`, sectionId });
+    }
+    for (const { id: contentId, data: content } of section.contents) {
+      if (!content.title?.trim() || content.title === CONTENT_DEFAULT_TITLE) {
+        problems.push({ code: 'CONTENT_NO_TITLE', message: `Content ${contentId} needs a title`, sectionId, contentId });
+      }
+      if (content.type === 'video' && (content.processingStatus === 'pending' || !(content.durationSeconds > 0))) {
+        problems.push({ code: 'VIDEO_NOT_READY', message: `Video ${contentId} has no duration yet`, sectionId, contentId });
+      }
+    }
+  }
+  return problems;
+}
+
+// Helper function to drop draft sections and contents from a loaded course tree
+function getPublishedTree(tree) {
+  return {
+    ...tree,
+    sections: tree.sections
+      .filter((section) => isPublished(section.data))
+      .map((section) => ({ ...section, contents: section.contents.filter((content) => isPublished(content.data)) })),
+  };
+}
+
+// Helper function to describe a version document for the version list
+function describeVersion(versionDoc) {
+  const { version, publishedBy, publishedAt, contentCount, totalSeconds, rolledBackBy, rolledBackAt } = versionDoc.data();
+  return {
+    version,
+    publishedBy,
+    publishedAt: publishedAt?.toDate?.().toISOString() ?? null,
+    contentCount,
+    totalSeconds,
+    totalLength: formatSecondsToDuration(totalSeconds),
+    rolledBackBy: rolledBackBy ?? null,
+    rolledBackAt: rolledBackAt?.toDate?.().toISOString() ?? null,
+  };
+}
+
+// Quizzes are contents of type 'quiz' created through the JSON API instead of /upload. The questions students
+// see live on the content document; the answer key is kept apart in courses/{courseId}/quizKeys/{contentId},
+// which no read route returns to students. Attempts are graded on the server and stored per student in
+// users/{uid}/progress/{courseId}/quizAttempts/{attemptId}, with the attempt count on the content's progress.
+const QUIZ_QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+const MAX_QUIZ_QUESTIONS = 100;
+const MIN_QUIZ_CHOICES = 2;
+const MAX_QUIZ_CHOICES = 10;
+const MAX_SHORT_ANSWER_LENGTH = 1000;
+const QUIZ_QUESTION_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Helper function to validate quiz questions from a request body and split them into the questions students
+// see and the answer key. Multiple-choice questions list choices and the indexes of the correct ones
+// (several correct choices make it a pick-all-that-apply question); short-answer questions list the
+// accepted answers. Returns { questions, answerKey, totalPoints } or { error, details }.
+function parseQuizQuestions(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_QUIZ_QUESTIONS) {
+    return { error: 'Invalid questions', details: `Expected 1 to ${MAX_QUIZ_QUESTIONS} questions` };
+  }
+  const questions = [];
+  const answerKey = {};
+  let totalPoints = 0;
+  for (const [index, question] of input.entries()) {
+    const where = `Question ${index + 1}`;
+    if (!question || typeof question !== 'object') {
+      return { error: 'Invalid questions', details: `${where} must be an object` };
+    }
+    const id = question.id === undefined ? `q${index + 1}` : String(question.id);
+    if (!QUIZ_QUESTION_ID_PATTERN.test(id) || answerKey[id]) {
+      return { error: 'Invalid question id', details: `${where}: ids must be unique letters, digits, - or _` };
+    }
+    if (!QUIZ_QUESTION_TYPES.includes(question.type)) {
+      return { error: 'Invalid question type', details: `${where}: allowed ${QUIZ_QUESTION_TYPES.join(', ')}` };
+    }
+    if (typeof question.prompt !== 'string' || !question.prompt.trim()) {
+      return { error: 'Invalid question prompt', details: `${where} needs a prompt` };
+    }
+    const points = question.points === undefined ? 1 : Number(question.points);
+    if (!Number.isFinite(points) || points <= 0) {
+      return { error: 'Invalid question points', details: `${where}: points must be a positive number` };
+    }
+
+    const visible = { id, type: question.type, prompt: question.prompt.trim(), points };
+    if (question.type === 'multiple_choice') {
+      const { choices } = question;
+      if (!Array.isArray(choices) || choices.length < MIN_QUIZ_CHOICES || choices.length > MAX_QUIZ_CHOICES
+        || choices.some((choice) => typeof choice !== 'string' || !choice.trim())) {
+        return { error: 'Invalid choices', details: `${where} needs ${MIN_QUIZ_CHOICES} to ${MAX_QUIZ_CHOICES} non-empty choices` };
+      }
+      const correct = [...new Set([].concat(question.correct ?? []))].sort((a, b) => a - b);
+      if (correct.length === 0 || correct.some((choice) => !Number.isInteger(choice) || choice < 0 || choice >= choices.length)) {
+        return { error: 'Invalid correct choices', details: `${where}: correct must list the indexes of the correct choices` };
+      }
+      visible.choices = choices.map((choice) => choice.trim());
+      visible.multiple = correct.length > 1;
+      answerKey[id] = { correct };
+    } else {
+      const { acceptedAnswers } = question;
+      if (!Array.isArray(acceptedAnswers) || acceptedAnswers.length === 0
+        || acceptedAnswers.some((answer) => typeof answer !== 'string' || !answer.trim())) {
+        return { error: 'Invalid accepted answers', details: `${where} needs at least one accepted answer` };
+      }
+      answerKey[id] = { acceptedAnswers: acceptedAnswers.map((answer) => answer.trim()), caseSensitive: question.caseSensitive === true };
+    }
+    questions.push(visible);
+    totalPoints += points;
+  }
+  return { questions, answerKey, totalPoints };
+}
+
+// Helper function to pick quiz settings from a request body. maxAttempts null means unlimited;
+// passingPercent null means any submitted attempt completes the quiz.
+function pickQuizSettings(body) {
+  const settings = {};
+  if (body.maxAttempts !== undefined) {
+    const maxAttempts = body.maxAttempts === null ? null : Number(body.maxAttempts);
+    if (maxAttempts !== null && (!Number.isInteger(maxAttempts) || maxAttempts < 1)) {
+      return { error: 'Invalid maxAttempts', details: 'maxAttempts must be a positive integer or null' };
+    }
+    settings.maxAttempts = maxAttempts;
+  }
+  if (body.passingPercent !== undefined) {
+    const passingPercent = body.passingPercent === null ? null : Number(body.passingPercent);
+    if (passingPercent !== null && (!Number.isFinite(passingPercent) || passingPercent < 0 || passingPercent > 100)) {
+      return { error: 'Invalid passingPercent', details: 'passingPercent must be between 0 and 100 or null' };
+    }
+    settings.passingPercent = passingPercent;
+  }
+  return { settings };
+}
+
+// Helper function to check submitted answers ({ questionId: choice index or indexes | text }) against the
+// quiz's questions. Unanswered questions are allowed and score nothing. Returns { answers } or { error, details }.
+function checkQuizAnswers(questions, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Invalid answers', details: 'Expected { answers: { questionId: answer } }' };
+  }
+  const byId = new Map(questions.map((question) => [question.id, question]));
+  const answers = {};
+  for (const [questionId, answer] of Object.entries(input)) {
+    const question = byId.get(questionId);
+    if (!question) {
+      return { error: 'Invalid answers', details: `Unknown question ${questionId}` };
+    }
+    if (answer === null) continue;
+    if (question.type === 'multiple_choice') {
+      const picked = [...new Set([].concat(answer))].sort((a, b) => a - b);
+      if (picked.some((choice) => !Number.isInteger(choice) || choice < 0 || choice >= question.choices.length)) {
+        return { error: 'Invalid answers', details: `Question ${questionId} takes choice indexes` };
+      }
+      answers[questionId] = picked;
+    } else {
+      if (typeof answer !== 'string' || answer.length > MAX_SHORT_ANSWER_LENGTH) {
+        return { error: 'Invalid answers', details: `Question ${questionId} takes text up to ${MAX_SHORT_ANSWER_LENGTH} characters` };
+      }
+      answers[questionId] = answer;
+    }
+  }
+  return { answers };
+}
+
+// Helper function to compare short answers ignoring surrounding and repeated whitespace (and case, by default)
+function normalizeShortAnswer(text, caseSensitive) {
+  const normalized = text.trim().replace(/\s+/g, ' ');
+  return caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+// Helper function to grade checked answers against a quiz's answer key. A multiple-choice question scores
+// only when exactly its correct choices are picked.
+function gradeQuizAttempt(questions, answerKey, answers) {
+  let score = 0;
+  let maxScore = 0;
+  const results = questions.map((question) => {
+    const key = answerKey[question.id];
+    const answer = answers[question.id];
+    let correct = false;
+    if (key && answer !== undefined) {
+      correct = question.type === 'multiple_choice'
+        ? answer.length === key.correct.length && answer.every((choice, i) => choice === key.correct[i])
+        : key.acceptedAnswers.some((accepted) => normalizeShortAnswer(accepted, key.caseSensitive) === normalizeShortAnswer(answer, key.caseSensitive));
+    }
+    const points = correct ? question.points : 0;
+    score += points;
+    maxScore += question.points;
+    return { questionId: question.id, correct, points };
+  });
+  return { score, maxScore, percent: toPercent(score, maxScore), results };
+}
+
+// Helper function to describe a stored quiz attempt
+function describeQuizAttempt(attemptDoc) {
+  const { attemptNumber, score, maxScore, percent, passed, results, submittedAt } = attemptDoc.data();
+  return {
+    attemptId: attemptDoc.id,
+    attemptNumber,
+    score,
+    maxScore,
+    percent,
+    passed,
+    results,
+    submittedAt: submittedAt?.toDate?.().toISOString() ?? null,
+  };
+}
+
+// A video counts as completed once this share of it has been watched
+const COMPLETION_THRESHOLD = 0.95;
+
+// Helper function to compute how much of a content a student has covered, in seconds
+function getWatchedSeconds(content, progress) {
+  const seconds = getContentSeconds(content);
+  if (!progress) return 0;
+  if (progress.completed) return seconds;
+  return Math.min(progress.maxPosition || 0, seconds);
+}
+
+// Helper function to compute a completion percentage, falling back to counts for sections without video
+function completionPercent(watchedSeconds, totalSeconds, completedCount, totalCount) {
+  if (totalSeconds > 0) return Math.round((watchedSeconds / totalSeconds) * 1000) / 10;
+  if (totalCount > 0) return Math.round((completedCount / totalCount) * 1000) / 10;
+  return 0;
+}
+
+// Helper function to summarize a student's progress through a course tree
+function summarizeCourseProgress(tree, progressByContent) {
+  let courseWatched = 0;
+  let courseTotal = 0;
+  let courseCompleted = 0;
+  let courseCount = 0;
+  const ordered = [];
+
+  const sections = tree.sections.map((section) => {
+    let watched = 0;
+    let total = 0;
+    let completed = 0;
+    for (const content of section.contents) {
+      const progress = progressByContent[content.id];
+      watched += getWatchedSeconds(content.data, progress);
+      total += getContentSeconds(content.data);
+      if (progress?.completed) completed++;
+      ordered.push({ sectionId: section.id, contentId: content.id, title: content.data.title, type: content.data.type, progress });
+    }
+    courseWatched += watched;
+    courseTotal += total;
+    courseCompleted += completed;
+    courseCount += section.contents.length;
+    return {
+      id: section.id,
+      title: section.data.title,
+      watchedSeconds: watched,
+      totalSeconds: total,
+      completedContents: completed,
+      totalContents: section.contents.length,
+      completion: completionPercent(watched, total, completed, section.contents.length),
+    };
+  });
+
+  // Continue watching: the last content touched if unfinished, else the next unfinished one after it
+  let continueWatching = null;
+  const touched = ordered.filter((item) => item.progress);
+  if (touched.length === 0) {
+    continueWatching = ordered[0] || null;
+  } else {
+    const last = touched.reduce((a, b) => ((a.progress.updatedAt?.toMillis?.() || 0) >= (b.progress.updatedAt?.toMillis?.() || 0) ? a : b));
+    const lastIndex = ordered.indexOf(last);
+    continueWatching = last.progress.completed
+      ? ordered.slice(lastIndex + 1).concat(ordered.slice(0, lastIndex)).find((item) => !item.progress?.completed) || null
+      : last;
+  }
+
+  return {
+    courseId: tree.id,
+    watchedSeconds: courseWatched,
+    totalSeconds: courseTotal,
+    completedContents: courseCompleted,
+    totalContents: courseCount,
+    completion: completionPercent(courseWatched, courseTotal, courseCompleted, courseCount),
+    sections,
+    continueWatching: continueWatching && {
+      sectionId: continueWatching.sectionId,
+      contentId: continueWatching.contentId,
+      title: continueWatching.title,
+      type: continueWatching.type,
+      position: continueWatching.progress?.completed ? 0 : continueWatching.progress?.position || 0,
+    },
+  };
+}
+
+// Helper function to work out how many seconds were actually watched between two progress pings.
+// Only forward movement no faster than 2x playback of the wall-clock gap counts; seeks add nothing.
+function getWatchedDelta(previous, position) {
+  const lastPingMs = previous.updatedAt?.toMillis?.();
+  if (!lastPingMs || position <= (previous.position || 0)) return 0;
+  const delta = position - (previous.position || 0);
+  const elapsedSeconds = (Date.now() - lastPingMs) / 1000;
+  return delta <= elapsedSeconds * 2 + 5 ? Math.round(delta) : 0;
+}
+
+// Helper function to express a ratio as a percentage with one decimal
+function toPercent(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 10 : 0;
+}
+
+// Helper function to compute how far (0..1) a student got through a content
+function getCompletionRatio(content, progress) {
+  if (progress.completed) return 1;
+  const seconds = getContentSeconds(content);
+  return seconds > 0 ? Math.min((progress.maxPosition || 0) / seconds, 1) : 0;
+}
+
+// Storage reconciliation: cross-checks the files under the upload prefixes against every path Firestore
+// references, reporting orphans (stored but unreferenced) and missing files (referenced but not stored).
+// Reports live in storageReports/{reportId} with one item per file in storageReports/{reportId}/items.
+const RECONCILE_PREFIXES = ['videos/', 'pdfs/', 'thumbnails/'];
+const ORPHAN_GRACE_HOURS = parseInt(process.env.ORPHAN_GRACE_HOURS, 10) || 24;
+// A dry-run report older than this must be re-run before its orphans can be deleted
+const REPORT_MAX_AGE_HOURS = 24;
+const DERIVED_CONTENT_FIELDS = ['hlsPath', 'posterPath', 'spritePath', 'thumbnailsVttPath'];
+
+// Helper function to shape a stored report for API responses
+function describeReport(report) {
+  const { ref, ...rest } = report;
+  const toIso = (value) => value?.toDate?.().toISOString() ?? value ?? null;
+  return {
+    ...rest,
+    createdAt: toIso(rest.createdAt),
+    updatedAt: toIso(rest.updatedAt),
+    appliedAt: toIso(rest.appliedAt),
+    orphans: rest.orphans.map((orphan) => ({ ...orphan, uploadedAt: toIso(orphan.uploadedAt) })),
+  };
+}
+
+// Helper function to check a storage key against the collected references
+function isReferenced(references, key) {
+  if (references.paths.has(key)) return true;
+  for (const prefix of references.prefixes) {
+    if (key.startsWith(prefix)) return true;
+  }
+  return false;
+}
+
+// Readiness checks (/health/ready) give up on a dependency that has not answered after this long
+const READINESS_CHECK_TIMEOUT_MS = parseInt(process.env.READINESS_CHECK_TIMEOUT_MS, 10) || 5000;
+// ffmpeg/ffprobe versions once both were found; the binaries do not go away while the process runs
+let mediaToolVersions = null;
+
+// Helper function to pick the status for a failed request: 503 with Retry-After when a dependency is
+// unavailable (see ./breaker), 500 otherwise
+function failureStatus(res, err) {
+  if (!isDependencyUnavailable(err)) return 500;
+  res.set('Retry-After', String(err.retryAfter));
+  return 503;
+}
+
+// Helper function to reject when a readiness check takes longer than READINESS_CHECK_TIMEOUT_MS
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} did not answer within ${READINESS_CHECK_TIMEOUT_MS}ms`)), READINESS_CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Helper function to run `<binary> -version`, resolving the first line of its output
+function getBinaryVersion(binary) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, ['-version'], { timeout: READINESS_CHECK_TIMEOUT_MS }, (err, stdout) => {
+      if (err) return reject(new Error(`${binary} is not available: ${err.message}`));
+      resolve(stdout.split('\n')[0]);
+    });
+  });
+}
+
+// Helper function to check the ffmpeg and ffprobe binaries fluent-ffmpeg uses (FFMPEG_PATH / FFPROBE_PATH or PATH)
+async function checkMediaTools() {
+  if (!mediaToolVersions) {
+    const [ffmpegVersion, ffprobeVersion] = await Promise.all([
+      getBinaryVersion(process.env.FFMPEG_PATH || 'ffmpeg'),
+      getBinaryVersion(process.env.FFPROBE_PATH || 'ffprobe'),
+    ]);
+    mediaToolVersions = { ffmpeg: ffmpegVersion, ffprobe: ffprobeVersion };
+  }
+  return mediaToolVersions;
+}
+
+// Build the Express app around injected dependencies so it can run without real credentials:
+// db is a Firestore instance, auth anything with verifyIdToken (admin.auth() in production) and
+// storage a driver from ./storage. runJobs=false leaves the job worker stopped; the queue is still
+// reachable as app.locals.jobQueue so tests can run jobs one at a time. The circuit breakers guarding
+// storage and Firestore are app.locals.breakers. rateLimits overrides RATE_LIMITS.
+function createApp({ db, auth, storage, runJobs = true, rateLimits = RATE_LIMITS }) {
+  const app = express();
+
+  // Behind a load balancer req.ip (used by the per-IP rate limits) has to come from X-Forwarded-For:
+  // TRUST_PROXY is 'true', a number of proxy hops or a list of trusted addresses
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' || (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+  }
+
+  // Firestore and storage calls are counted for the error rates on /metrics, and go through circuit
+  // breakers so an outage turns into quick 503s instead of requests piling up behind timeouts
+  const breakers = {
+    storage: createCircuitBreaker('storage'),
+    firestore: createCircuitBreaker('firestore'),
+  };
+  app.locals.breakers = breakers;
+  db = protectFirestore(instrumentFirestore(db), breakers.firestore);
+  storage = protectStorage(instrumentStorage(storage), breakers.storage);
+
+  // Tag every request with a correlation ID (the caller's X-Request-Id when it looks sane) that is echoed
+  // back and attached to every log line written while handling it, then log and time the request
+  app.use((req, res, next) => {
+    const clientRequestId = req.get('X-Request-Id');
+    const requestId = /^[\w.:-]{1,128}$/.test(clientRequestId || '') ? clientRequestId : uuidv4();
+    res.set('X-Request-Id', requestId);
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+      logger.info('Request finished', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        uid: req.user?.uid,
+      });
+    });
+    logContext.run({ requestId }, next);
+  });
+
+  // Configure CORS for Flutter web app
+  app.use(cors({
+    origin: ['http://localhost:63055', 'http://localhost:3000', 'https://your-production-domain.com'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Authorization', 'Content-Type', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id'],
+  }));
+  app.use(withLogContext(express.json()));
+
+  if (storage.router) {
+    app.use('/storage', storage.router);
+  }
+
+  // Configure multer for file uploads (one file per request, held in memory)
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FORM_UPLOAD_BYTES, files: 1, fields: 20 },
+  });
+  const uploadRateLimit = rateLimit('upload', rateLimits.upload);
+  const fileUrlRateLimit = rateLimit('file-url', rateLimits.fileUrl);
+
+  // Helper function to get total duration for a section by re-scanning its contents
+  async function getSectionTotalSeconds(sectionRef) {
+    const contentsSnapshot = await sectionRef.collection('contents').where('type', '==', 'video').get();
+    return contentsSnapshot.docs.reduce((sum, doc) => sum + getContentSeconds(doc.data()), 0);
+  }
+
+  // Helper function to apply writes ({ ref, data, type: 'update' | 'set' }, update by default) in batches,
+  // as Firestore allows 500 writes per batch
+  async function commitWrites(writes) {
+    for (let i = 0; i < writes.length; i += 500) {
+      const batch = db.batch();
+      for (const { ref, data, type = 'update' } of writes.slice(i, i + 500)) {
+        batch[type](ref, data);
+      }
+      await batch.commit();
+    }
+  }
+
+  // Helper function to rebuild every total of a course from its contents. Used to repair drifted
+  // courses and to migrate legacy string durations to durationSeconds/totalSeconds.
+  async function recomputeCourseTotals(courseId) {
+    const courseRef = db.collection('courses').doc(courseId);
+    const sectionsSnapshot = await courseRef.collection('sections').get();
+    const writes = [];
+    const sections = {};
+    let courseTotalSeconds = 0;
+
+    for (const sectionDoc of sectionsSnapshot.docs) {
+      const contentsSnapshot = await sectionDoc.ref.collection('contents').where('type', '==', 'video').get();
+      for (const contentDoc of contentsSnapshot.docs) {
+        const content = contentDoc.data();
+        if (!Number.isInteger(content.durationSeconds)) {
+          const durationSeconds = getContentSeconds(content);
+          writes.push({ ref: contentDoc.ref, data: { durationSeconds, duration: formatSecondsToDuration(durationSeconds) } });
+        }
+      }
+      const sectionTotalSeconds = await getSectionTotalSeconds(sectionDoc.ref);
+      writes.push({ ref: sectionDoc.ref, data: totalFields(sectionTotalSeconds) });
+      sections[sectionDoc.id] = sectionTotalSeconds;
+      courseTotalSeconds += sectionTotalSeconds;
+    }
+    // Courses created before the catalog filters lack hasThumbnail
+    const courseDoc = await courseRef.get();
+    writes.push({ ref: courseRef, data: { ...totalFields(courseTotalSeconds), hasThumbnail: !!courseDoc.data()?.thumbnailUrl } });
+
+    await commitWrites(writes);
+    logger.info(`Recomputed course ${courseId} totalSeconds: ${courseTotalSeconds}`);
+    return { totalSeconds: courseTotalSeconds, totalLength: formatSecondsToDuration(courseTotalSeconds), sections };
+  }
+
+  // Helper function to create a time-limited signed download URL for a stored file.
+  // fileNamePrefix defaults to the file itself; pass a directory prefix to authorize every file under it
+  // (only drivers with supportsPrefixUrls honour it).
+  async function getSignedDownloadUrl(filePath, validDurationInSeconds = 3600, fileNamePrefix = filePath) {
+    return storage.getSignedReadUrl(filePath, { expiresIn: validDurationInSeconds, prefix: fileNamePrefix });
+  }
+
+  const getUsageRef = (uid) => db.collection('storageUsage').doc(uid);
+
+  // Helper function to reserve quota for a file about to be stored, resolving a 413 rejection when it doesn't fit
+  async function reserveStorage(uid, bytes) {
+    return db.runTransaction(async (transaction) => {
+      const quota = checkQuota(describeStorageUsage(uid, (await transaction.get(getUsageRef(uid))).data()), bytes);
+      if (quota.error) return quota;
+      transaction.set(getUsageRef(uid), {
+        bytesUsed: admin.firestore.FieldValue.increment(bytes),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return {};
+    });
+  }
+
+  // Helper function to check a file fits the quota without reserving it (resumable sessions reserve on finish)
+  async function checkStorageQuota(uid, bytes) {
+    return checkQuota(describeStorageUsage(uid, (await getUsageRef(uid).get()).data()), bytes);
+  }
+
+  // Helper function to queue giving quota back on a transaction or batch ({ uid => bytes })
+  function addStorageRelease(writer, bytesByUploader) {
+    for (const [uid, bytes] of bytesByUploader) {
+      writer.set(getUsageRef(uid), {
+        bytesUsed: admin.firestore.FieldValue.increment(-bytes),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+  }
+
+  // Helper function to give quota back outside a transaction (failed uploads, deleted courses and sections).
+  // A failure is logged rather than thrown: the request already did what it was asked to.
+  async function releaseStorage(bytesByUploader) {
+    if (bytesByUploader.size === 0) return;
+    const batch = db.batch();
+    addStorageRelease(batch, bytesByUploader);
+    await batch.commit()
+      .catch((err) => logger.error('Failed to release storage quota', { err, usage: Object.fromEntries(bytesByUploader) }));
+  }
+
+  // Helper function to write a video/pdf content document and adjust section and course totals.
+  // Runs in a transaction so concurrent uploads can't overwrite each other's totals. New courses, sections and
+  // contents start as drafts; a re-upload also returns the content to draft until the course is published again.
+  // A replaced content's files are deleted only after the record points at the new one.
+  async function storeContentRecord({ courseId, sectionId, contentId, type, name, order, uploader, filePath, durationSeconds = 0, freePreview, extra = {} }) {
+    const courseRef = db.collection('courses').doc(courseId);
+    const sectionRef = courseRef.collection('sections').doc(sectionId);
+    const contentRef = sectionRef.collection('contents').doc(contentId);
+
+    const contentData = {
+      title: name,
+      type,
+      backblazePath: filePath,
+      uploader,
+      status: 'draft',
+      uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+      freePreview: freePreview === true || freePreview === 'true',
+      ...(order !== undefined ? { order: parseInt(order, 10) } : {}),
+      ...(type === 'video' ? { durationSeconds, duration: formatSecondsToDuration(durationSeconds) } : {}),
+      ...extra,
+    };
+
+    const { sectionTotalSeconds, courseTotalSeconds, replaced } = await db.runTransaction(async (transaction) => {
+      const [courseDoc, sectionDoc, existingDoc] = await transaction.getAll(courseRef, sectionRef, contentRef);
+      // Re-uploading over an existing contentId replaces its duration rather than adding to it
+      const delta = getContentSeconds(contentData) - (existingDoc.exists ? getContentSeconds(existingDoc.data()) : 0);
+      const sectionSeconds = Math.max(0, (sectionDoc.exists ? getTotalSeconds(sectionDoc.data()) : 0) + delta);
+      const courseSeconds = Math.max(0, (courseDoc.exists ? getTotalSeconds(courseDoc.data()) : 0) + delta);
+
+      // Initialize course and section if they don't exist
+      if (!courseDoc.exists) {
+        transaction.set(courseRef, {
+          ...totalFields(courseSeconds),
+          uploader,
+          status: 'draft',
+          hasThumbnail: false,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        logger.info(`Initialized course ${courseId} with totalSeconds: ${courseSeconds}`);
+      } else if (delta !== 0) {
+        transaction.update(courseRef, totalFields(courseSeconds));
+      }
+
+      if (!sectionDoc.exists) {
+        transaction.set(sectionRef, {
+          ...totalFields(sectionSeconds),
+          status: 'draft',
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          order: 0,
+        });
+        logger.info(`Initialized section ${sectionId} with totalSeconds: ${sectionSeconds}`);
+      } else if (delta !== 0) {
+        transaction.update(sectionRef, totalFields(sectionSeconds));
+      }
+
+      // The replaced content's file no longer counts towards its uploader's quota
+      if (existingDoc.exists) {
+        addStorageRelease(transaction, getStoredBytesByUploader(existingDoc.data()));
+      }
+      transaction.set(contentRef, contentData);
+      return {
+        sectionTotalSeconds: sectionSeconds,
+        courseTotalSeconds: courseSeconds,
+        replaced: existingDoc.exists && existingDoc.data().backblazePath !== filePath ? existingDoc.data() : null,
+      };
+    });
+    logger.info(`Wrote courses/${courseId}/sections/${sectionId}/contents/${contentId}`, { content: contentData });
+    logger.info(`Section ${sectionId} totalSeconds: ${sectionTotalSeconds}, course ${courseId} totalSeconds: ${courseTotalSeconds}`);
+
+    if (replaced) {
+      await deleteContentFiles(replaced)
+        .catch((err) => logger.error(`Failed to delete replaced file ${replaced.backblazePath}`, { err }));
+    }
+
+    return {
+      duration: contentData.duration,
+      sectionTotalSeconds,
+      courseTotalSeconds,
+      sectionTotalLength: formatSecondsToDuration(sectionTotalSeconds),
+      courseTotalLength: formatSecondsToDuration(courseTotalSeconds),
+    };
+  }
+
+  // Helper function to get the answer key document of a quiz (kept out of the content so reads never return it)
+  const getQuizKeyRef = (courseRef, contentId) => courseRef.collection('quizKeys').doc(contentId);
+
+  // Helper function to delete a content document (and a quiz's answer key), subtract its duration from the
+  // totals and give its stored bytes back to the uploaders' quotas
+  async function removeContentRecord(courseRef, sectionId, contentId) {
+    const sectionRef = courseRef.collection('sections').doc(sectionId);
+    const contentRef = sectionRef.collection('contents').doc(contentId);
+
+    return db.runTransaction(async (transaction) => {
+      const [courseDoc, sectionDoc, contentDoc] = await transaction.getAll(courseRef, sectionRef, contentRef);
+      if (!contentDoc.exists) return { removed: false };
+
+      const seconds = getContentSeconds(contentDoc.data());
+      const sectionTotalSeconds = Math.max(0, getTotalSeconds(sectionDoc.data()) - seconds);
+      const courseTotalSeconds = Math.max(0, getTotalSeconds(courseDoc.data()) - seconds);
+      transaction.delete(contentRef);
+      if (contentDoc.data().type === 'quiz') transaction.delete(getQuizKeyRef(courseRef, contentId));
+      addStorageRelease(transaction, getStoredBytesByUploader(contentDoc.data()));
+      if (seconds > 0) {
+        transaction.update(sectionRef, totalFields(sectionTotalSeconds));
+        transaction.update(courseRef, totalFields(courseTotalSeconds));
+      }
+      return { removed: true, sectionTotalSeconds, courseTotalSeconds };
+    });
+  }
+
+  // Helper function to move a content document to another section, shifting its duration between them
+  async function moveContentRecord(courseRef, fromSectionId, toSectionId, contentId, updates) {
+    const fromSectionRef = courseRef.collection('sections').doc(fromSectionId);
+    const toSectionRef = courseRef.collection('sections').doc(toSectionId);
+    const fromContentRef = fromSectionRef.collection('contents').doc(contentId);
+    const toContentRef = toSectionRef.collection('contents').doc(contentId);
+
+    return db.runTransaction(async (transaction) => {
+      const [fromSectionDoc, toSectionDoc, fromContentDoc, toContentDoc] = await transaction.getAll(
+        fromSectionRef, toSectionRef, fromContentRef, toContentRef
+      );
+      if (!fromContentDoc.exists) return { status: 404, error: 'Content not found' };
+      if (!toSectionDoc.exists) return { status: 404, error: 'Target section not found' };
+      if (toContentDoc.exists) return { status: 409, error: 'Content already exists in target section' };
+
+      const content = fromContentDoc.data();
+      const seconds = getContentSeconds(content);
+      const fromTotalSeconds = Math.max(0, getTotalSeconds(fromSectionDoc.data()) - seconds);
+      const toTotalSeconds = getTotalSeconds(toSectionDoc.data()) + seconds;
+
+      transaction.set(toContentRef, {
+        ...content,
+        ...updates,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      transaction.delete(fromContentRef);
+      if (seconds > 0) {
+        transaction.update(fromSectionRef, totalFields(fromTotalSeconds));
+        transaction.update(toSectionRef, totalFields(toTotalSeconds));
+      }
+      return {
+        type: content.type,
+        sectionTotalSeconds: { [fromSectionId]: fromTotalSeconds, [toSectionId]: toTotalSeconds },
+      };
+    });
+  }
+
+  // Helper function to delete every stored file whose name starts with prefix (or equals it when exact)
+  async function deleteStoredFiles(prefix, { exact = false } = {}) {
+    const deleted = exact ? await storage.delete(prefix) : await storage.deletePrefix(prefix);
+    logger.info(`Deleted ${deleted} stored file(s) for ${prefix}`);
+    return deleted;
+  }
+
+  // Helper function to delete a content's file and, for videos, its derived HLS/preview assets
+  async function deleteContentFiles(content) {
+    if (!content.backblazePath) return;
+    if (content.backblazeFileId) {
+      await storage.delete(content.backblazePath, { fileId: content.backblazeFileId });
+      logger.info(`Deleted stored file ${content.backblazePath}`);
+    } else {
+      await deleteStoredFiles(content.backblazePath, { exact: true });
+    }
+    if (content.type === 'video') {
+      await deleteStoredFiles(`${getVideoAssetPrefix(content.backblazePath)}/`);
+    }
+  }
+
+  // Helper function to validate a caption upload against its video and store it as that language's track.
+  // A replaced track's file is deleted only after the content points at the new one.
+  async function storeCaptionTrack({ courseRef, sectionId, contentId, file, uploader, language, label, kind = 'captions' }) {
+    if (!language || !CAPTION_LANGUAGE_PATTERN.test(language)) {
+      return uploadRejection('CAPTION_INVALID_LANGUAGE', 'Invalid caption language', 'Use a BCP 47 language tag such as en or pt-BR');
+    }
+    if (!CAPTION_KINDS.includes(kind)) {
+      return uploadRejection('CAPTION_INVALID_KIND', 'Invalid caption kind', `Allowed: ${CAPTION_KINDS.join(', ')}`);
+    }
+    if (!['.srt', '.vtt'].includes(path.extname(file.originalname || '').toLowerCase())) {
+      return uploadRejection('INVALID_EXTENSION', 'Invalid caption format', 'Only SRT or WebVTT allowed');
+    }
+    const validation = await validateUploadBuffer('caption', null, file.buffer);
+    if (validation.error) return validation;
+
+    const contentRef = courseRef.collection('sections').doc(sectionId).collection('contents').doc(contentId);
+    const contentDoc = await contentRef.get();
+    if (!contentDoc.exists) {
+      return { status: 404, error: 'Content not found' };
+    }
+    const content = contentDoc.data();
+    if (content.type !== 'video') {
+      return uploadRejection('CAPTION_NOT_VIDEO', 'Captions can only be added to videos', `Content ${contentId} is a ${content.type}`);
+    }
+    if (content.processingStatus === 'pending' || !content.durationSeconds) {
+      return uploadRejection('VIDEO_PROCESSING', 'Video is still processing', 'Captions can be uploaded once the video duration is known', 409);
+    }
+    if (validation.lastCueEnd > content.durationSeconds + CAPTION_DURATION_TOLERANCE_SECONDS) {
+      return uploadRejection(
+        'CAPTION_PAST_END',
+        'Captions run past the end of the video',
+        `Last cue ends at ${formatVttTimestamp(validation.lastCueEnd)}, the video is ${formatVttTimestamp(content.durationSeconds)} long`,
+      );
+    }
+
+    const data = Buffer.from(validation.vtt, 'utf8');
+    const reservedBytes = new Map([[uploader, data.length]]);
+    const reservation = await reserveStorage(uploader, data.length);
+    if (reservation.error) return reservation;
+
+    const filePath = `${getVideoAssetPrefix(content.backblazePath)}/captions/${language}_${uuidv4()}.vtt`;
+    let fileId;
+    try {
+      ({ fileId } = await storage.put(filePath, data, { contentType: 'text/vtt' }));
+      logger.info(`Stored ${language} captions ${filePath}`);
+    } catch (err) {
+      logger.error('Storage upload failed', { err });
+      await releaseStorage(reservedBytes);
+      return { status: isDependencyUnavailable(err) ? 503 : 500, error: 'Storage upload failed', details: err.message };
+    }
+
+    const track = {
+      language,
+      label: label || language,
+      kind,
+      path: filePath,
+      fileId,
+      cueCount: validation.cueCount,
+      sourceFormat: validation.sourceFormat,
+      size: data.length,
+      uploadedBy: uploader,
+      uploadedAt: admin.firestore.Timestamp.now(),
+    };
+    let result;
+    try {
+      result = await db.runTransaction(async (transaction) => {
+        const currentDoc = await transaction.get(contentRef);
+        // The video was deleted or re-uploaded while the captions were being stored
+        if (!currentDoc.exists || currentDoc.data().backblazePath !== content.backblazePath) return null;
+        const captions = currentDoc.data().captions || [];
+        const replaced = captions.find((t) => t.language === language) || null;
+        transaction.update(contentRef, {
+          captions: [...captions.filter((t) => t.language !== language), track].sort((a, b) => a.language.localeCompare(b.language)),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        if (replaced) {
+          addStorageRelease(transaction, getStoredBytesByUploader({ captions: [replaced] }));
+        }
+        return { replaced };
+      });
+    } catch (err) {
+      logger.error('Firestore write error', { err });
+      result = { status: isDependencyUnavailable(err) ? 503 : 500, error: 'Firestore write failed', details: err.message };
+    }
+
+    if (!result || result.error) {
+      await deleteCaptionFile({ path: filePath, fileId })
+        .catch((cleanupErr) => logger.error('Failed to delete stored captions during cleanup', { error: cleanupErr.message }));
+      await releaseStorage(reservedBytes);
+      return result || { status: 409, error: 'Content changed during upload', details: 'Reload the content and try again' };
+    }
+    if (result.replaced) {
+      await deleteCaptionFile(result.replaced)
+        .catch((err) => logger.error(`Failed to delete replaced captions ${result.replaced.path}`, { error: err.message }));
+    }
+    return { track };
+  }
+
+  // Helper function to delete a caption track's file
+  async function deleteCaptionFile(track) {
+    await storage.delete(track.path, { fileId: track.fileId });
+    logger.info(`Deleted captions ${track.path}`);
+  }
+
+  // Helper function to upload every file in a local directory (recursively) under a storage prefix
+  async function uploadDirectoryToStorage(localDir, prefix) {
+    const uploaded = [];
+    const entries = await fsp.readdir(localDir, { recursive: true, withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const localPath = path.join(entry.parentPath || entry.path, entry.name);
+      const fileName = `${prefix}/${path.relative(localDir, localPath).split(path.sep).join('/')}`;
+      const contentType = {
+        '.m3u8': 'application/vnd.apple.mpegurl',
+        '.ts': 'video/mp2t',
+        '.jpg': 'image/jpeg',
+        '.vtt': 'text/vtt',
+      }[path.extname(entry.name)];
+      const { fileId } = await storage.put(fileName, await fsp.readFile(localPath), { contentType });
+      uploaded.push({ fileName, fileId });
+    }
+    logger.info(`Uploaded ${uploaded.length} files under ${prefix}`);
+    return uploaded;
+  }
+
+  // Generate previews, store them and record them on the content document.
+  // The poster becomes the course thumbnail when the course has none yet. The thumbnails track points at the
+  // sprite by relative path, so drivers without prefix URLs (S3) only get the poster.
+  async function storeVideoPreviews({ contentRef, courseId, localPath, workDir, assetPrefix, isLastAttempt = true }) {
+    const previewPrefix = `${assetPrefix}/preview`;
+    const sprite = storage.supportsPrefixUrls;
+    try {
+      await contentRef.update({ previewStatus: 'processing' });
+      const outputDir = path.join(workDir, 'preview');
+      await generateVideoPreviews(localPath, outputDir, { sprite });
+      await uploadDirectoryToStorage(outputDir, previewPrefix);
+
+      const posterPath = `${previewPrefix}/poster.jpg`;
+      await contentRef.update({
+        previewStatus: 'ready',
+        posterPath,
+        ...(sprite ? { spritePath: `${previewPrefix}/sprite.jpg`, thumbnailsVttPath: `${previewPrefix}/thumbnails.vtt` } : {}),
+      });
+
+      const courseRef = db.collection('courses').doc(courseId);
+      const usedAsThumbnail = await db.runTransaction(async (transaction) => {
+        const courseDoc = await transaction.get(courseRef);
+        if (!courseDoc.exists || courseDoc.data().thumbnailUrl) return false;
+        transaction.update(courseRef, {
+          thumbnailUrl: posterPath,
+          hasThumbnail: true,
+          videoLastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return true;
+      });
+      if (usedAsThumbnail) {
+        logger.info(`Set poster ${posterPath} as thumbnail for course ${courseId}`);
+      }
+    } catch (err) {
+      logger.error(`Preview generation failed for ${assetPrefix}`, { err });
+      await contentRef.update({ previewStatus: isLastAttempt ? 'failed' : 'retrying', previewError: err.message })
+        .catch((updateErr) => logger.error(`Failed to record preview failure for ${assetPrefix}`, { error: updateErr.message }));
+      throw err;
+    }
+  }
+
+  // Transcode to HLS, store the ladder and record the result on the content document
+  async function storeHlsLadder({ contentRef, localPath, workDir, assetPrefix, isLastAttempt = true }) {
+    const hlsPrefix = `${assetPrefix}/hls`;
+    try {
+      await contentRef.update({ hlsStatus: 'processing' });
+      logger.info(`Starting HLS transcoding for ${assetPrefix}`);
+
+      const outputDir = path.join(workDir, 'hls');
+      const renditions = await transcodeToHls(localPath, outputDir);
+      await uploadDirectoryToStorage(outputDir, hlsPrefix);
+
+      await contentRef.update({
+        hlsStatus: 'ready',
+        hlsPath: `${hlsPrefix}/master.m3u8`,
+        hlsRenditions: renditions,
+        hlsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`HLS transcoding finished for ${assetPrefix} (${renditions.join(', ')})`);
+    } catch (err) {
+      logger.error(`HLS transcoding failed for ${assetPrefix}`, { err });
+      await contentRef.update({
+        hlsStatus: isLastAttempt ? 'failed' : 'retrying',
+        hlsError: err.message,
+        hlsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }).catch((updateErr) => logger.error(`Failed to record HLS failure for ${assetPrefix}`, { error: updateErr.message }));
+      throw err;
+    }
+  }
+
+  // Helper function to get a content document reference
+  function getContentRef(courseId, sectionId, contentId) {
+    return db
+      .collection('courses')
+      .doc(courseId)
+      .collection('sections')
+      .doc(sectionId)
+      .collection('contents')
+      .doc(contentId);
+  }
+
+  // Helper function to download a stored video into a temporary directory for fn, cleaning up afterwards
+  async function withStagedVideo(filePath, fn) {
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'video-'));
+    try {
+      const localPath = path.join(workDir, `source${path.extname(filePath)}`);
+      await storage.download(filePath, localPath);
+      return await fn(localPath, workDir);
+    } finally {
+      await fsp.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Helper function to record a probed video's duration and metadata and add the duration to the totals.
+  // Resolves null when the content was deleted or re-uploaded while the probe job waited.
+  async function applyVideoMetadata({ courseId, sectionId, contentId, filePath, validation }) {
+    const courseRef = db.collection('courses').doc(courseId);
+    const sectionRef = courseRef.collection('sections').doc(sectionId);
+    const contentRef = sectionRef.collection('contents').doc(contentId);
+    const { durationSeconds, codec, width, height } = validation;
+
+    return db.runTransaction(async (transaction) => {
+      const [courseDoc, sectionDoc, contentDoc] = await transaction.getAll(courseRef, sectionRef, contentRef);
+      if (!contentDoc.exists || contentDoc.data().backblazePath !== filePath) return null;
+
+      // Delta against the stored duration keeps retries from counting the video twice
+      const delta = durationSeconds - getContentSeconds(contentDoc.data());
+      const sectionTotalSeconds = Math.max(0, getTotalSeconds(sectionDoc.data()) + delta);
+      const courseTotalSeconds = Math.max(0, getTotalSeconds(courseDoc.data()) + delta);
+      if (delta !== 0) {
+        if (sectionDoc.exists) transaction.update(sectionRef, totalFields(sectionTotalSeconds));
+        if (courseDoc.exists) transaction.update(courseRef, totalFields(courseTotalSeconds));
+      }
+      transaction.update(contentRef, {
+        durationSeconds,
+        duration: formatSecondsToDuration(durationSeconds),
+        videoCodec: codec,
+        width,
+        height,
+        processingStatus: 'ready',
+      });
+      return { sectionTotalSeconds, courseTotalSeconds };
+    });
+  }
+
+  // Job: ffprobe an uploaded video through a short-lived signed URL, store its duration and queue
+  // preview and HLS generation. Unsupported videos are deleted along with their content document.
+  async function probeUploadedVideo(payload, { jobId, isLastAttempt, enqueue }) {
+    const { courseId, sectionId, contentId, filePath, fileId, uploader } = payload;
+    const { url: probeUrl } = await getSignedDownloadUrl(filePath, 600);
+    const metadata = await probeVideo(filePath, probeUrl);
+    // An unreadable file may just be a network blip, so it is only rejected on the last attempt
+    if (!metadata && !isLastAttempt) {
+      throw new Error(`ffprobe could not read ${filePath}`);
+    }
+
+    const validation = checkVideoMetadata(metadata);
+    if (validation.error) {
+      const contentDoc = await getContentRef(courseId, sectionId, contentId).get();
+      if (contentDoc.exists && contentDoc.data().backblazePath === filePath) {
+        await removeContentRecord(db.collection('courses').doc(courseId), sectionId, contentId);
+      }
+      await storage.delete(filePath, { fileId })
+        .catch((err) => logger.error(`Failed to delete rejected file ${filePath}`, { error: err.message }));
+      logger.info(`Rejected video ${filePath} (${validation.code})`);
+      throw permanentJobError(validation.error, { code: validation.code, details: validation.details });
+    }
+
+    const applied = await applyVideoMetadata({ courseId, sectionId, contentId, filePath, validation });
+    if (!applied) {
+      logger.info(`Content for ${filePath} changed before probing finished, skipping`);
+      return { skipped: true };
+    }
+
+    // Ids derived from the probe job keep a retried probe from queueing the follow-ups twice
+    const followUp = { courseId, sectionId, contentId, filePath };
+    const previewJobId = await enqueue('video-previews', followUp, { id: `${jobId}-previews`, createdBy: uploader });
+    let hlsJobId = null;
+    if (storage.supportsPrefixUrls) {
+      hlsJobId = await enqueue('video-hls', followUp, { id: `${jobId}-hls`, createdBy: uploader });
+    } else {
+      // Playlists reference their segments by relative path, which single-file signed URLs can't cover
+      await getContentRef(courseId, sectionId, contentId).update({
+        hlsStatus: 'unsupported',
+        hlsError: `The ${storage.name} storage driver cannot sign URLs for a whole prefix, so HLS is not available`,
+      });
+    }
+
+    return {
+      durationSeconds: validation.durationSeconds,
+      duration: formatSecondsToDuration(validation.durationSeconds),
+      sectionTotalSeconds: applied.sectionTotalSeconds,
+      courseTotalSeconds: applied.courseTotalSeconds,
+      previewJobId,
+      hlsJobId,
+    };
+  }
+
+  // Job: poster, seek-preview sprite and thumbnails track, stored next to the original
+  async function generateUploadedVideoPreviews({ courseId, sectionId, contentId, filePath }, { isLastAttempt }) {
+    const contentRef = getContentRef(courseId, sectionId, contentId);
+    const assetPrefix = getVideoAssetPrefix(filePath);
+    await withStagedVideo(filePath, (localPath, workDir) =>
+      storeVideoPreviews({ contentRef, courseId, localPath, workDir, assetPrefix, isLastAttempt }));
+    return { previewPrefix: `${assetPrefix}/preview/` };
+  }
+
+  // Job: HLS ladder, stored next to the original
+  async function transcodeUploadedVideo({ courseId, sectionId, contentId, filePath }, { isLastAttempt }) {
+    const contentRef = getContentRef(courseId, sectionId, contentId);
+    const assetPrefix = getVideoAssetPrefix(filePath);
+    await withStagedVideo(filePath, (localPath, workDir) =>
+      storeHlsLadder({ contentRef, localPath, workDir, assetPrefix, isLastAttempt }));
+    return { hlsPath: `${assetPrefix}/hls/master.m3u8` };
+  }
+
+  const jobQueue = createJobQueue({
+    db,
+    handlers: {
+      'probe-video': probeUploadedVideo,
+      'video-previews': generateUploadedVideoPreviews,
+      'video-hls': transcodeUploadedVideo,
+    },
+  });
+  app.locals.jobQueue = jobQueue;
+  if (runJobs) {
+    jobQueue.start();
+  }
+
+  // Middleware to verify the Firebase ID token and expose the decoded token as req.user
+  async function requireAuth(req, res, next) {
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+      logger.warn('Missing idToken', { path: req.path });
+      return res.status(401).json({ error: 'Unauthorized: Missing ID token' });
+    }
+    try {
+      req.user = await auth.verifyIdToken(idToken);
+    } catch (err) {
+      logger.warn('Invalid idToken', { error: err.message });
+      return res.status(401).json({ error: 'Unauthorized: Invalid ID token', details: err.message });
+    }
+    next();
+  }
+
+  // Middleware like requireAuth, but anonymous requests pass through with req.user = null
+  async function optionalAuth(req, res, next) {
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    req.user = null;
+    if (idToken) {
+      try {
+        req.user = await auth.verifyIdToken(idToken);
+      } catch (err) {
+        logger.warn('Invalid idToken', { error: err.message });
+        return res.status(401).json({ error: 'Unauthorized: Invalid ID token', details: err.message });
+      }
+    }
+    next();
+  }
+
+  // Helper function to work out the caller's relationship to a course: 'admin', 'owner', 'instructor' (co-instructor),
+  // 'enrolled' or null.
+  // Enrollments are stored as courses/{courseId}/enrollments/{uid}.
+  async function getCourseAccess(courseId, courseData, user) {
+    if (!user) return null;
+    if (isAdmin(user)) return 'admin';
+    if (courseData?.uploader === user.uid) return 'owner';
+    if (courseData?.instructors?.includes(user.uid)) return 'instructor';
+    const enrollmentDoc = await db
+      .collection('courses')
+      .doc(courseId)
+      .collection('enrollments')
+      .doc(user.uid)
+      .get();
+    return enrollmentDoc.exists ? 'enrolled' : null;
+  }
+
+  // Helper function to map a storage path back to the course thumbnail or content it belongs to.
+  // Requires the collection-group index on contents.backblazePath.
+  async function resolveFilePath(filePath) {
+    const thumbnailSnapshot = await db
+      .collection('courses')
+      .where('thumbnailUrl', '==', filePath)
+      .limit(1)
+      .get();
+    if (!thumbnailSnapshot.empty) {
+      return { kind: 'thumbnail', courseId: thumbnailSnapshot.docs[0].id };
+    }
+
+    // Derived assets (videos/vid_<uuid>/hls/..., videos/vid_<uuid>/preview/...) belong to videos/vid_<uuid>.<ext>
+    const assetMatch = filePath.match(/^(videos\/[^/]+)\//);
+    const candidates = assetMatch ? ['.mp4', '.mov', '.avi'].map((ext) => `${assetMatch[1]}${ext}`) : [filePath];
+    const contentSnapshot = await db
+      .collectionGroup('contents')
+      .where('backblazePath', 'in', candidates)
+      .limit(1)
+      .get();
+    if (contentSnapshot.empty) return null;
+
+    const contentDoc = contentSnapshot.docs[0];
+    const sectionRef = contentDoc.ref.parent.parent;
+    return {
+      kind: 'content',
+      courseId: sectionRef.parent.parent.id,
+      sectionId: sectionRef.id,
+      contentId: contentDoc.id,
+      content: contentDoc.data(),
+    };
+  }
+
+  // Helper function to load a course and verify the caller teaches it. Owners, co-instructors (course.instructors)
+  // and admins pass; ownerOnly leaves out co-instructors. With allowCreate, instructors may target a courseId that
+  // doesn't exist yet (the upload creates it with them as owner) and course is null.
+  async function checkCourseRole(courseId, user, { ownerOnly = false, allowCreate = false } = {}) {
+    const courseRef = db.collection('courses').doc(courseId);
+    const courseDoc = await courseRef.get();
+    if (!courseDoc.exists) {
+      if (!allowCreate) {
+        return { status: 404, error: 'Course not found' };
+      }
+      if (!isInstructor(user)) {
+        logger.warn('Non-instructor attempted to create a course', { courseId, uid: user.uid });
+        return { status: 403, error: 'Forbidden', details: 'Only instructors can create courses' };
+      }
+      return { courseRef, course: null, access: 'owner' };
+    }
+    const access = await getCourseAccess(courseId, courseDoc.data(), user);
+    const allowed = ownerOnly ? ['owner', 'admin'] : ['owner', 'instructor', 'admin'];
+    if (!allowed.includes(access)) {
+      logger.warn('Caller does not manage course', { courseId, uid: user.uid, access });
+      return {
+        status: 403,
+        error: 'Forbidden',
+        details: ownerOnly ? 'Only the course owner or an admin can do this' : 'Only the course instructors or an admin can do this',
+      };
+    }
+    return { courseRef, course: courseDoc.data(), access };
+  }
+
+  // Middleware running checkCourseRole on req.params.id (or req.body.courseId for uploads); sets req.course.
+  // Must come after requireAuth.
+  function requireCourseRole(options) {
+    return async (req, res, next) => {
+      const courseId = req.params.id ?? req.body?.courseId;
+      if (!courseId) {
+        return res.status(400).json({ error: 'Missing courseId' });
+      }
+      try {
+        const { status, error, details, ...course } = await checkCourseRole(courseId, req.user, options);
+        if (error) {
+          return res.status(status).json({ error, details });
+        }
+        req.course = course;
+        next();
+      } catch (err) {
+        logger.error(`Failed to check access to course ${courseId}`, { err });
+        res.status(failureStatus(res, err)).json({ error: 'Failed to check course access', details: err.message });
+      }
+    };
+  }
+
+  // Helper function to get the aggregated stats document for a content (courses/{courseId}/contentStats/{contentId})
+  function getContentStatsRef(courseId, contentId) {
+    return db.collection('courses').doc(courseId).collection('contentStats').doc(contentId);
+  }
+
+  // Helper function to record a signed-URL issuance and bump the content's view counters.
+  // Best-effort and not awaited by callers: analytics failures never block playback.
+  async function recordUrlIssuance(resolved, user, filePath) {
+    const { courseId, sectionId, contentId } = resolved;
+    const courseRef = db.collection('courses').doc(courseId);
+    const statsRef = getContentStatsRef(courseId, contentId);
+    try {
+      await courseRef.collection('urlIssuances').add({
+        uid: user?.uid || null,
+        courseId,
+        sectionId,
+        contentId,
+        filePath,
+        issuedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      await db.runTransaction(async (transaction) => {
+        let isNewViewer = false;
+        const viewerRef = user ? statsRef.collection('viewers').doc(user.uid) : null;
+        if (viewerRef) {
+          const viewerDoc = await transaction.get(viewerRef);
+          isNewViewer = !viewerDoc.exists;
+          if (isNewViewer) {
+            transaction.set(viewerRef, { uid: user.uid, firstViewedAt: admin.firestore.FieldValue.serverTimestamp() });
+          }
+        }
+        transaction.set(statsRef, {
+          sectionId,
+          views: admin.firestore.FieldValue.increment(1),
+          ...(isNewViewer ? { uniqueViewers: admin.firestore.FieldValue.increment(1) } : {}),
+          lastViewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+      });
+    } catch (err) {
+      logger.error(`Failed to record URL issuance for ${filePath}`, { error: err.message });
+    }
+  }
+
+  // Endpoint to generate signed URL for stored files (rate limited per IP and per signed-in uid)
+  app.get('/file-url', optionalAuth, fileUrlRateLimit, async (req, res) => {
+    const filePath = req.query.file;
+
+    if (!filePath) {
+      logger.warn('Missing filePath');
+      return res.status(400).json({ error: 'Missing filePath' });
+    }
+
+    try {
+      const resolved = await resolveFilePath(filePath);
+      if (!resolved) {
+        logger.warn(`No course or content references ${filePath}`);
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      // Files of draft courses, sections and contents are only served to the course's instructors
+      const courseDoc = await db.collection('courses').doc(resolved.courseId).get();
+      let published = isPublished(courseDoc.data());
+      if (published && resolved.kind === 'content') {
+        const sectionDoc = await courseDoc.ref.collection('sections').doc(resolved.sectionId).get();
+        published = isPublished(sectionDoc.data()) && isPublished(resolved.content);
+      }
+      if (!published) {
+        const access = await getCourseAccess(resolved.courseId, courseDoc.data(), req.user);
+        if (!canManageCourse(access)) {
+          logger.warn(`${filePath} belongs to an unpublished ${resolved.kind}`, { uid: req.user?.uid });
+          return res.status(404).json({ error: 'File not found' });
+        }
+      }
+
+      // Course thumbnails are part of the public catalog; everything else needs access to the content
+      if (resolved.kind === 'thumbnail') {
+        const { url: signedUrl } = await getSignedDownloadUrl(filePath);
+        return res.json({ url: signedUrl });
+      }
+
+      if (!resolved.content.freePreview) {
+        if (!req.user) {
+          logger.warn('Missing idToken', { filePath });
+          return res.status(401).json({ error: 'Unauthorized: Missing ID token' });
+        }
+        const access = await getCourseAccess(resolved.courseId, courseDoc.data(), req.user);
+        if (!canViewContent(access, resolved.content, req.user)) {
+          logger.warn(`User ${req.user.uid} has no access to ${filePath}`);
+          return res.status(403).json({ error: 'Forbidden', details: 'Not enrolled in this course' });
+        }
+        logger.info(`Verified ${access || 'uploader'} access for file: ${filePath}`);
+      }
+
+      recordUrlIssuance(resolved, req.user, filePath);
+
+      // HLS playlists and the preview thumbnails track reference other files by relative path, so the
+      // whole hls/ or preview/ prefix is authorized and the token returned for players to send as an Authorization header.
+      // Drivers without prefix grants (S3) fall through to a single-file URL; they never get HLS or a sprite,
+      // only the poster.
+      const prefixMatch = filePath.match(/^(videos\/[^/]+\/(?:hls|preview)\/)/);
+      if (prefixMatch && storage.supportsPrefixUrls) {
+        const { url, authorizationToken } = await getSignedDownloadUrl(filePath, 3600, prefixMatch[1]);
+        logger.info(`Generated signed prefix URL for ${prefixMatch[1]}`);
+        return res.json({ url, prefix: prefixMatch[1], authorizationToken });
+      }
+
+      const { url: signedUrl } = await getSignedDownloadUrl(filePath);
+      logger.info(`Generated signed URL for ${filePath}`);
+
+      res.json({ url: signedUrl });
+    } catch (err) {
+      logger.error(`Error generating signed URL for ${filePath}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to generate signed URL', details: err.message });
+    }
+  });
+
+  // Upload endpoint. The caller is authenticated and rate limited before the file is read into memory.
+  app.post('/upload',
+    requireAuth,
+    uploadRateLimit,
+    withLogContext(upload.single('file')),
+    handleUploadFormError,
+    requireCourseRole({ allowCreate: true }),
+    async (req, res) => {
+      logger.info('Received upload request', {
+        body: req.body,
+        file: !!req.file,
+        fileSize: req.file?.size,
+      });
+      res.on('finish', () => recordUpload(req.body?.type, res.statusCode, req.file?.size));
+
+      try {
+        const userId = req.user.uid;
+        const { type, courseId, uploader, name = CONTENT_DEFAULT_TITLE, sectionId = 'default', contentId, order, freePreview } = req.body;
+        const file = req.file;
+
+        if (!type || !courseId || !uploader || !file || (type !== 'thumbnail' && !contentId)) {
+          logger.warn('Missing required fields', { type, courseId, uploader, file: !!file, contentId });
+          return res.status(400).json({ error: 'Missing required fields or file' });
+        }
+
+        if (uploader !== userId) {
+          logger.warn('Uploader does not match authenticated user', { uploader, userId });
+          return res.status(403).json({ error: 'Forbidden', details: 'Uploader does not match authenticated user' });
+        }
+
+        if (!['video', 'pdf', 'thumbnail', 'caption'].includes(type)) {
+          logger.warn('Invalid file type', { type });
+          return res.status(400).json({
+            error: 'Invalid file type',
+            details: 'Allowed: video, pdf, thumbnail, caption. Quizzes are created with POST /course/:id/sections/:sectionId/quizzes',
+          });
+        }
+
+        // Captions attach to an existing video: fields are language, label and kind (captions or subtitles)
+        if (type === 'caption') {
+          const { language, label, kind } = req.body;
+          const { track, ...rejection } = await storeCaptionTrack({
+            courseRef: req.course.courseRef, sectionId, contentId, file, uploader, language, label, kind,
+          });
+          if (rejection.error) {
+            return sendUploadRejection(res, rejection);
+          }
+          return res.status(200).json({
+            captionUrl: track.path,
+            language: track.language,
+            label: track.label,
+            kind: track.kind,
+            cueCount: track.cueCount,
+          });
+        }
+
+        const { filePath, code, error, details } = buildFilePath(type, file.originalname, uuidv4());
+        if (error) {
+          return res.status(400).json({ error, code, details });
+        }
+
+        const validation = await validateUploadBuffer(type, filePath, file.buffer);
+        if (validation.error) {
+          return sendUploadRejection(res, validation);
+        }
+
+        // Only content uploads create courses; a thumbnail needs one to attach to
+        if (type === 'thumbnail' && !req.course.course) {
+          return res.status(404).json({ error: 'Course not found' });
+        }
+
+        // Thumbnails are not counted towards the quota
+        const reservedBytes = new Map(type === 'thumbnail' ? [] : [[userId, file.size]]);
+        if (reservedBytes.size > 0) {
+          const reservation = await reserveStorage(userId, file.size);
+          if (reservation.error) {
+            return sendUploadRejection(res, reservation);
+          }
+        }
+
+        let fileId;
+        try {
+          ({ fileId } = await storage.put(filePath, file.buffer, { contentType: file.mimetype }));
+          logger.info(`${type} uploaded to ${storage.name} storage`);
+        } catch (err) {
+          logger.error('Storage upload failed', { err });
+          await releaseStorage(reservedBytes);
+          return res.status(failureStatus(res, err)).json({ error: 'Storage upload failed', details: err.message });
+        }
+
+        let contentStored = false;
+        try {
+          if (type === 'thumbnail') {
+            await db.collection('courses').doc(courseId).update({
+              thumbnailUrl: filePath,
+              hasThumbnail: true,
+              videoLastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            logger.info(`Stored thumbnail path ${filePath} for course ${courseId}`);
+            return res.status(200).json({ thumbnailUrl: filePath });
+          }
+
+          // Videos are stored without a duration; the probe-video job fills it in and updates the totals
+          await storeContentRecord({
+            courseId, sectionId, contentId, type, name, order, uploader, filePath, freePreview,
+            extra: {
+              backblazeFileId: fileId,
+              fileSize: file.size,
+              ...(type === 'video' ? { processingStatus: 'pending', previewStatus: 'pending', hlsStatus: 'pending' } : {}),
+              ...(type === 'pdf' ? { pageCount: validation.pageCount } : {}),
+            },
+          });
+          contentStored = true;
+
+          if (type === 'pdf') {
+            return res.status(200).json({ fileUrl: filePath });
+          }
+
+          const jobId = await jobQueue.enqueue(
+            'probe-video',
+            { courseId, sectionId, contentId, filePath, fileId, uploader },
+            { createdBy: userId },
+          );
+          const responseData = { fileUrl: filePath, jobId, processingStatus: 'pending', previewStatus: 'pending', hlsStatus: 'pending' };
+          logger.info('Sending response', { response: responseData });
+          res.status(202).json(responseData);
+        } catch (err) {
+          logger.error('Firestore write error', { err });
+          // Removing the content gives its bytes back; otherwise the reservation is released here
+          if (contentStored) {
+            await removeContentRecord(db.collection('courses').doc(courseId), sectionId, contentId)
+              .catch((cleanupErr) => logger.error('Failed to remove content during cleanup', { error: cleanupErr.message }));
+          } else {
+            await releaseStorage(reservedBytes);
+          }
+          if (fileId) {
+            try {
+              await storage.delete(filePath, { fileId });
+              logger.info(`Deleted stored file ${filePath} due to Firestore failure`);
+            } catch (cleanupErr) {
+              logger.error('Failed to delete stored file during cleanup', { err: cleanupErr });
+            }
+          }
+          // 5 = NOT_FOUND: the course was deleted while its thumbnail was being stored
+          if (type === 'thumbnail' && err.code === 5) {
+            return res.status(404).json({ error: 'Course not found' });
+          }
+          return res.status(failureStatus(res, err)).json({ error: 'Firestore write failed', details: err.message });
+        }
+      } catch (err) {
+        logger.error('Upload error', { err });
+        return res.status(failureStatus(res, err)).json({ error: 'Upload failed', details: err.message });
+      }
+    });
+
+  // Helper function to load an upload session owned by the caller
+  async function getOwnedUploadSession(sessionId, userId) {
+    const sessionRef = db.collection('uploadSessions').doc(sessionId);
+    const sessionDoc = await sessionRef.get();
+    if (!sessionDoc.exists) {
+      return { status: 404, error: 'Upload session not found' };
+    }
+    const session = sessionDoc.data();
+    if (session.uploader !== userId) {
+      logger.warn('Upload session does not belong to authenticated user', { sessionId, userId });
+      return { status: 403, error: 'Forbidden', details: 'Upload session does not belong to authenticated user' };
+    }
+    return { sessionRef, session };
+  }
+
+  // Start a resumable upload session
+  app.post('/uploads', requireAuth, uploadRateLimit, requireCourseRole({ allowCreate: true }), async (req, res) => {
+    const userId = req.user.uid;
+    const { type, courseId, uploader, name = CONTENT_DEFAULT_TITLE, sectionId = 'default', contentId, order, fileName, freePreview } = req.body;
+    const fileSize = parseInt(req.body.fileSize, 10);
+    const partSize = parseInt(req.body.partSize, 10) || UPLOAD_PART_SIZE;
+
+    if (!type || !courseId || !uploader || !contentId || !fileName || !fileSize) {
+      logger.warn('Missing required fields for upload session', { type, courseId, uploader, contentId, fileName, fileSize });
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (uploader !== userId) {
+      logger.warn('Uploader does not match authenticated user', { uploader, userId });
+      return res.status(403).json({ error: 'Forbidden', details: 'Uploader does not match authenticated user' });
+    }
+
+    if (!['video', 'pdf'].includes(type)) {
+      logger.warn('Invalid file type for upload session', { type });
+      return res.status(400).json({ error: 'Invalid file type', details: 'Resumable uploads support video or pdf' });
+    }
+
+    if (partSize < MIN_UPLOAD_PART_SIZE || partSize > MAX_UPLOAD_PART_SIZE) {
+      return res.status(400).json({ error: 'Invalid part size', details: `Part size must be between ${MIN_UPLOAD_PART_SIZE} and ${MAX_UPLOAD_PART_SIZE} bytes` });
+    }
+
+    if (fileSize > UPLOAD_LIMITS[type].maxBytes) {
+      return sendUploadRejection(res, uploadRejection('FILE_TOO_LARGE', 'File too large', `Maximum size for ${type} is ${UPLOAD_LIMITS[type].maxBytes} bytes`, 413));
+    }
+
+    const totalParts = Math.ceil(fileSize / partSize);
+    // B2 can only finish a large file from at least two parts
+    if (totalParts < 2) {
+      return res.status(400).json({
+        error: 'File too small for a resumable upload',
+        details: `Files up to the ${partSize}-byte part size fit in one request; send them to POST /upload instead`,
+      });
+    }
+    if (totalParts > MAX_UPLOAD_PARTS) {
+      return res.status(400).json({ error: 'File too large', details: `At most ${MAX_UPLOAD_PARTS} parts are allowed` });
+    }
+
+    const { filePath, code, error, details } = buildFilePath(type, fileName, uuidv4());
+    if (error) {
+      return res.status(400).json({ error, code, details });
+    }
+
+    try {
+      // Refuse early when the file can't fit; the space is only reserved once the parts are assembled
+      const quota = await checkStorageQuota(userId, fileSize);
+      if (quota.error) {
+        return sendUploadRejection(res, quota);
+      }
+
+      const { uploadId } = await storage.startMultipart(filePath);
+
+      const sessionRef = db.collection('uploadSessions').doc();
+      const session = {
+        status: 'active',
+        type,
+        courseId,
+        sectionId,
+        contentId,
+        name,
+        ...(order !== undefined ? { order } : {}),
+        freePreview: freePreview === true || freePreview === 'true',
+        uploader,
+        fileName,
+        filePath,
+        fileSize,
+        partSize,
+        totalParts,
+        storageDriver: storage.name,
+        uploadId,
+        parts: {},
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await sessionRef.set(session);
+      logger.info(`Started upload session ${sessionRef.id} for ${filePath} (${totalParts} parts)`);
+
+      res.status(201).json(describeUploadSession(sessionRef.id, session));
+    } catch (err) {
+      logger.error('Failed to start upload session', { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to start upload session', details: err.message });
+    }
+  });
+
+  // Get the progress of an upload session so the client can resume missing parts
+  app.get('/uploads/:sessionId', requireAuth, async (req, res) => {
+    try {
+      const { session, status, error, details } = await getOwnedUploadSession(req.params.sessionId, req.user.uid);
+      if (error) {
+        return res.status(status).json({ error, details });
+      }
+      res.json(describeUploadSession(req.params.sessionId, session));
+    } catch (err) {
+      logger.error('Failed to fetch upload session', { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to fetch upload session', details: err.message });
+    }
+  });
+
+  // Upload a single part (raw request body); re-sending a part overwrites it
+  app.put('/uploads/:sessionId/parts/:partNumber',
+    requireAuth,
+    withLogContext(express.raw({ type: () => true, limit: MAX_UPLOAD_PART_SIZE })),
+    async (req, res) => {
+      const { sessionId } = req.params;
+      const partNumber = parseInt(req.params.partNumber, 10);
+
+      try {
+        const { sessionRef, session, status, error, details } = await getOwnedUploadSession(sessionId, req.user.uid);
+        if (error) {
+          return res.status(status).json({ error, details });
+        }
+
+        if (session.status !== 'active') {
+          return res.status(409).json({ error: 'Upload session is not active', details: `Session status is ${session.status}` });
+        }
+
+        if (!partNumber || partNumber < 1 || partNumber > session.totalParts) {
+          return res.status(400).json({ error: 'Invalid part number', details: `Part number must be between 1 and ${session.totalParts}` });
+        }
+
+        const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        const expectedSize = partNumber < session.totalParts
+          ? session.partSize
+          : session.fileSize - session.partSize * (session.totalParts - 1);
+        if (data.length !== expectedSize) {
+          logger.warn('Unexpected part size', { sessionId, partNumber, size: data.length, expectedSize });
+          return res.status(400).json({ error: 'Invalid part size', details: `Part ${partNumber} must be ${expectedSize} bytes` });
+        }
+
+        // The first part carries the magic bytes, so a mismatched file is refused before it reaches storage
+        if (partNumber === 1) {
+          const signature = checkUploadSignature(session.type, session.fileSize, data);
+          if (signature.error) {
+            return sendUploadRejection(res, signature);
+          }
+        }
+
+        const sha1 = crypto.createHash('sha1').update(data).digest('hex');
+
+        const { etag } = await storage.uploadPart(session.uploadId, session.filePath, partNumber, data, { sha1 });
+
+        await sessionRef.update({
+          [`parts.${partNumber}`]: { sha1, size: data.length, ...(etag ? { etag } : {}) },
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        logger.info(`Uploaded part ${partNumber}/${session.totalParts} for session ${sessionId}`);
+
+        res.json({ sessionId, partNumber, sha1, size: data.length });
+      } catch (err) {
+        logger.error(`Failed to upload part ${partNumber} for session ${sessionId}`, { err });
+        res.status(failureStatus(res, err)).json({ error: 'Failed to upload part', details: err.message });
+      }
+    });
+
+  // Finish an upload session: assemble the parts in storage and store the content (videos are then probed by a job)
+  app.post('/uploads/:sessionId/finish', requireAuth, async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+      const { sessionRef, session, status, error, details } = await getOwnedUploadSession(sessionId, req.user.uid);
+      if (error) {
+        return res.status(status).json({ error, details });
+      }
+
+      if (session.status !== 'active') {
+        return res.status(409).json({ error: 'Upload session is not active', details: `Session status is ${session.status}` });
+      }
+      res.on('finish', () => recordUpload(session.type, res.statusCode, session.fileSize));
+
+      // Co-instructor access may have been revoked since the session started
+      const courseAccess = await checkCourseRole(session.courseId, req.user, { allowCreate: true });
+      if (courseAccess.error) {
+        return res.status(courseAccess.status).json({ error: courseAccess.error, details: courseAccess.details });
+      }
+
+      const progress = describeUploadSession(sessionId, session);
+      if (progress.missingParts.length > 0) {
+        return res.status(409).json({ error: 'Upload incomplete', missingParts: progress.missingParts });
+      }
+
+      const { type, courseId, sectionId, contentId, name, order, uploader, filePath, freePreview } = session;
+      const parts = progress.uploadedParts.map((partNumber) => ({ partNumber, ...session.parts[partNumber] }));
+
+      // Over quota, the session stays active: the client can free space and finish again, or abort
+      const reservedBytes = new Map([[uploader, session.fileSize]]);
+      const reservation = await reserveStorage(uploader, session.fileSize);
+      if (reservation.error) {
+        return sendUploadRejection(res, reservation);
+      }
+
+      let fileId;
+      try {
+        ({ fileId } = await storage.completeMultipart(session.uploadId, filePath, parts));
+        logger.info(`Assembled ${filePath} for session ${sessionId}`);
+      } catch (err) {
+        logger.error('Storage completeMultipart failed', { err });
+        await releaseStorage(reservedBytes);
+        return res.status(failureStatus(res, err)).json({ error: 'Storage upload failed', details: err.message });
+      }
+
+      // Videos are probed by the probe-video job; PDFs (capped far below video sizes) are downloaded for parsing
+      let validation = {};
+      if (type === 'pdf') {
+        const buffer = await storage.downloadBuffer(filePath).catch(async (err) => {
+          await releaseStorage(reservedBytes);
+          throw err;
+        });
+        validation = checkPdf(buffer);
+      }
+      if (validation.error) {
+        try {
+          await storage.delete(filePath, { fileId });
+          logger.info(`Deleted rejected file ${filePath}`);
+        } catch (cleanupErr) {
+          logger.error('Failed to delete rejected file', { err: cleanupErr });
+        }
+        await releaseStorage(reservedBytes);
+        await sessionRef.update({
+          status: 'rejected',
+          rejectionCode: validation.code,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return sendUploadRejection(res, validation);
+      }
+      let contentStored = false;
+      try {
+        await storeContentRecord({
+          courseId, sectionId, contentId, type, name, order, uploader, filePath, freePreview,
+          extra: {
+            backblazeFileId: fileId,
+            fileSize: session.fileSize,
+            ...(type === 'video' ? { processingStatus: 'pending', previewStatus: 'pending', hlsStatus: 'pending' } : {}),
+            ...(type === 'pdf' ? { pageCount: validation.pageCount } : {}),
+          },
+        });
+        contentStored = true;
+
+        const responseData = { fileUrl: filePath };
+        if (type === 'video') {
+          responseData.jobId = await jobQueue.enqueue(
+            'probe-video',
+            { courseId, sectionId, contentId, filePath, fileId, uploader },
+            { createdBy: req.user.uid },
+          );
+          responseData.processingStatus = 'pending';
+          responseData.previewStatus = 'pending';
+          responseData.hlsStatus = 'pending';
+        }
+        await sessionRef.update({
+          status: 'finished',
+          ...(responseData.jobId ? { jobId: responseData.jobId } : {}),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        logger.info('Sending response', { response: responseData });
+        res.status(type === 'video' ? 202 : 200).json(responseData);
+      } catch (err) {
+        logger.error('Firestore write error', { err });
+        if (contentStored) {
+          await removeContentRecord(db.collection('courses').doc(courseId), sectionId, contentId)
+            .catch((cleanupErr) => logger.error('Failed to remove content during cleanup', { error: cleanupErr.message }));
+        } else {
+          await releaseStorage(reservedBytes);
+        }
+        try {
+          await storage.delete(filePath, { fileId });
+          logger.info(`Deleted stored file ${filePath} due to Firestore failure`);
+        } catch (cleanupErr) {
+          logger.error('Failed to delete stored file during cleanup', { err: cleanupErr });
+        }
+        await sessionRef.update({
+          status: 'failed',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }).catch((updateErr) => logger.error(`Failed to mark upload session ${sessionId} as failed`, { error: updateErr.message }));
+        return res.status(failureStatus(res, err)).json({ error: 'Firestore write failed', details: err.message });
+      }
+    } catch (err) {
+      logger.error(`Failed to finish upload session ${sessionId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to finish upload session', details: err.message });
+    }
+  });
+
+  // Abort an upload session and discard the uploaded parts
+  app.delete('/uploads/:sessionId', requireAuth, async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+      const { sessionRef, session, status, error, details } = await getOwnedUploadSession(sessionId, req.user.uid);
+      if (error) {
+        return res.status(status).json({ error, details });
+      }
+
+      if (session.status !== 'active') {
+        return res.status(409).json({ error: 'Upload session is not active', details: `Session status is ${session.status}` });
+      }
+
+      await storage.abortMultipart(session.uploadId, session.filePath);
+      await sessionRef.update({
+        status: 'aborted',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`Aborted upload session ${sessionId}`);
+
+      res.json({ sessionId, status: 'aborted' });
+    } catch (err) {
+      logger.error(`Failed to abort upload session ${sessionId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to abort upload session', details: err.message });
+    }
+  });
+
+  // The caller's storage usage against their upload quota
+  app.get('/usage/storage', requireAuth, async (req, res) => {
+    try {
+      const usageDoc = await getUsageRef(req.user.uid).get();
+      res.json(describeStorageUsage(req.user.uid, usageDoc.data()));
+    } catch (err) {
+      logger.error(`Failed to read storage usage for ${req.user.uid}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to read storage usage', details: err.message });
+    }
+  });
+
+  // Status of a background job (probe-video, video-previews, video-hls) for the client to poll
+  app.get('/jobs/:id', requireAuth, async (req, res) => {
+    try {
+      const job = await jobQueue.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      if (job.createdBy !== req.user.uid && !isAdmin(req.user)) {
+        logger.warn(`User ${req.user.uid} cannot view job ${req.params.id}`);
+        return res.status(403).json({ error: 'Forbidden', details: 'Job belongs to another user' });
+      }
+      res.json(describeJob(req.params.id, job));
+    } catch (err) {
+      logger.error(`Failed to fetch job ${req.params.id}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to fetch job', details: err.message });
+    }
+  });
+
+  // Fetch a page of the course catalog.
+  // Query: limit, cursor (from the previous page's nextCursor), sort=createdAt|totalLength, order=asc|desc,
+  // uploader=<uid>, hasThumbnail=true|false. Filtered sorts need the matching composite indexes.
+  app.get('/courses', async (req, res) => {
+    const { cursor, sort = 'createdAt', order = 'desc', uploader, hasThumbnail } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || CATALOG_DEFAULT_LIMIT, CATALOG_MAX_LIMIT);
+
+    if (!CATALOG_SORT_FIELDS[sort]) {
+      return res.status(400).json({ error: 'Invalid sort', details: `Allowed: ${Object.keys(CATALOG_SORT_FIELDS).join(', ')}` });
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'Invalid order', details: 'Allowed: asc, desc' });
+    }
+    if (hasThumbnail !== undefined && !['true', 'false'].includes(hasThumbnail)) {
+      return res.status(400).json({ error: 'Invalid hasThumbnail', details: 'Allowed: true, false' });
+    }
+    // Cursors are base64url course ids; anything that can't be a document id never reaches Firestore
+    const cursorId = typeof cursor === 'string' ? Buffer.from(cursor, 'base64url').toString('utf8') : '';
+    if (cursor !== undefined && (!cursorId || cursorId.includes('/') || ['.', '..'].includes(cursorId))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    try {
+      let query = db.collection('courses');
+      if (uploader) {
+        query = query.where('uploader', '==', uploader);
+      }
+      if (hasThumbnail !== undefined) {
+        query = query.where('hasThumbnail', '==', hasThumbnail === 'true');
+      }
+      query = query.orderBy(CATALOG_SORT_FIELDS[sort], order);
+
+      if (cursor) {
+        const cursorDoc = await db.collection('courses').doc(cursorId).get();
+        if (!cursorDoc.exists) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // Drafts are skipped here rather than filtered in the query, because courses without a status count as
+      // published and Firestore can't match a missing field. Pages are read until limit + 1 published courses
+      // are found; the extra one tells us whether another page exists.
+      const docs = [];
+      let hasMore = false;
+      let page = query;
+      while (!hasMore) {
+        const snapshot = await page.limit(limit + 1).get();
+        for (const doc of snapshot.docs) {
+          if (!isPublished(doc.data())) continue;
+          if (docs.length === limit) {
+            hasMore = true;
+            break;
+          }
+          docs.push(doc);
+        }
+        if (snapshot.docs.length <= limit) break;
+        page = query.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+      }
+      const nextCursor = hasMore
+        ? Buffer.from(docs[docs.length - 1].id, 'utf8').toString('base64url')
+        : null;
+
+      res.json({ courses: docs.map(toCourseSummary), nextCursor });
+    } catch (error) {
+      logger.error('Error fetching courses', { err: error });
+      res.status(failureStatus(res, error)).json({ error: 'Failed to fetch courses', details: error.message });
+    }
+  });
+
+  // Fetch course by ID; ?include=sections returns sections only, ?include=contents (default) the full tree.
+  // Drafts are only returned to the course's instructors and admins.
+  app.get('/course/:id', optionalAuth, async (req, res) => {
+    const include = req.query.include || 'contents';
+    if (!['sections', 'contents'].includes(include)) {
+      return res.status(400).json({ error: 'Invalid include', details: 'Allowed: sections, contents' });
+    }
+
+    try {
+      const courseId = req.params.id;
+      const courseDoc = await db.collection('courses').doc(courseId).get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      const courseData = courseDoc.data();
+      const access = await getCourseAccess(courseId, courseData, req.user);
+      const showDrafts = canManageCourse(access);
+      if (!showDrafts && !isPublished(courseData)) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      const sectionsSnapshot = await db.collection('courses').doc(courseId).collection('sections').get();
+      const visibleSections = sectionsSnapshot.docs.filter((sectionDoc) => showDrafts || isPublished(sectionDoc.data()));
+      const sections = await Promise.all(
+        visibleSections.map(async (sectionDoc) => {
+          if (include === 'sections') {
+            return { id: sectionDoc.id, ...sectionDoc.data() };
+          }
+          const contentsSnapshot = await db
+            .collection('courses')
+            .doc(courseId)
+            .collection('sections')
+            .doc(sectionDoc.id)
+            .collection('contents')
+            .get();
+          const contents = contentsSnapshot.docs
+            .filter((contentDoc) => showDrafts || isPublished(contentDoc.data()))
+            .map((contentDoc) => {
+              const content = contentDoc.data();
+              return { id: contentDoc.id, ...redactContent(content, canViewContent(access, content, req.user)) };
+            });
+          return {
+            id: sectionDoc.id,
+            ...sectionDoc.data(),
+            contents,
+          };
+        })
+      );
+      res.json({
+        id: courseId,
+        ...courseData,
+        access,
+        sections,
+      });
+    } catch (error) {
+      logger.error('Error fetching course', { err: error });
+      res.status(failureStatus(res, error)).json({ error: 'Failed to fetch course', details: error.message });
+    }
+  });
+
+  // Update course details
+  app.patch('/course/:id', requireAuth, requireCourseRole(), async (req, res) => {
+    const courseId = req.params.id;
+    try {
+      const { courseRef } = req.course;
+      const { updates } = pickEditableFields(req.body || {}, COURSE_EDITABLE_FIELDS);
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No editable fields provided', details: `Allowed: ${COURSE_EDITABLE_FIELDS.join(', ')}` });
+      }
+      await courseRef.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      logger.info(`Updated course ${courseId}`, { updates });
+      res.json({ id: courseId, ...updates });
+    } catch (err) {
+      logger.error(`Failed to update course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to update course', details: err.message });
+    }
+  });
+
+  // Delete a course with all its sections, contents and files
+  app.delete('/course/:id', requireAuth, requireCourseRole({ ownerOnly: true }), async (req, res) => {
+    const courseId = req.params.id;
+    try {
+      const { courseRef, course } = req.course;
+
+      const sectionsSnapshot = await courseRef.collection('sections').get();
+      const storedBytes = new Map();
+      try {
+        for (const sectionDoc of sectionsSnapshot.docs) {
+          const contentsSnapshot = await sectionDoc.ref.collection('contents').get();
+          for (const contentDoc of contentsSnapshot.docs) {
+            await deleteContentFiles(contentDoc.data());
+            getStoredBytesByUploader(contentDoc.data(), storedBytes);
+          }
+        }
+        if (course.thumbnailUrl?.startsWith('thumbnails/')) {
+          await deleteStoredFiles(course.thumbnailUrl, { exact: true });
+        }
+      } catch (err) {
+        logger.error(`Failed to delete stored files for course ${courseId}`, { err });
+        return res.status(failureStatus(res, err)).json({ error: 'Storage delete failed', details: err.message });
+      }
+
+      await db.recursiveDelete(courseRef);
+      await releaseStorage(storedBytes);
+      logger.info(`Deleted course ${courseId}`);
+      res.json({ id: courseId, deleted: true });
+    } catch (err) {
+      logger.error(`Failed to delete course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to delete course', details: err.message });
+    }
+  });
+
+  // Update section details
+  app.patch('/course/:id/sections/:sectionId', requireAuth, requireCourseRole(), async (req, res) => {
+    const { id: courseId, sectionId } = req.params;
+    try {
+      const { courseRef } = req.course;
+      const sectionRef = courseRef.collection('sections').doc(sectionId);
+      if (!(await sectionRef.get()).exists) {
+        return res.status(404).json({ error: 'Section not found' });
+      }
+      const { updates, error: fieldError, details: fieldDetails } = pickEditableFields(req.body || {}, SECTION_EDITABLE_FIELDS);
+      if (fieldError) {
+        return res.status(400).json({ error: fieldError, details: fieldDetails });
+      }
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No editable fields provided', details: `Allowed: ${SECTION_EDITABLE_FIELDS.join(', ')}` });
+      }
+      await sectionRef.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      logger.info(`Updated section ${sectionId} of course ${courseId}`, { updates });
+      res.json({ id: sectionId, ...updates });
+    } catch (err) {
+      logger.error(`Failed to update section ${sectionId} of course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to update section', details: err.message });
+    }
+  });
+
+  // Delete a section with all its contents and files
+  app.delete('/course/:id/sections/:sectionId', requireAuth, requireCourseRole(), async (req, res) => {
+    const { id: courseId, sectionId } = req.params;
+    try {
+      const { courseRef } = req.course;
+      const sectionRef = courseRef.collection('sections').doc(sectionId);
+      if (!(await sectionRef.get()).exists) {
+        return res.status(404).json({ error: 'Section not found' });
+      }
+
+      const contentsSnapshot = await sectionRef.collection('contents').get();
+      const storedBytes = new Map();
+      try {
+        for (const contentDoc of contentsSnapshot.docs) {
+          await deleteContentFiles(contentDoc.data());
+          getStoredBytesByUploader(contentDoc.data(), storedBytes);
+        }
+      } catch (err) {
+        logger.error(`Failed to delete stored files for section ${sectionId}`, { err });
+        return res.status(failureStatus(res, err)).json({ error: 'Storage delete failed', details: err.message });
+      }
+
+      // Drop the section and its duration (and its quizzes' answer keys) from the course atomically,
+      // then clear its contents
+      const quizKeyRefs = contentsSnapshot.docs
+        .filter((contentDoc) => contentDoc.data().type === 'quiz')
+        .map((contentDoc) => getQuizKeyRef(courseRef, contentDoc.id));
+      const courseTotalSeconds = await db.runTransaction(async (transaction) => {
+        const [courseDoc, sectionDoc] = await transaction.getAll(courseRef, sectionRef);
+        const remainingSeconds = Math.max(0, getTotalSeconds(courseDoc.data()) - getTotalSeconds(sectionDoc.data()));
+        transaction.update(courseRef, totalFields(remainingSeconds));
+        transaction.delete(sectionRef);
+        quizKeyRefs.forEach((ref) => transaction.delete(ref));
+        return remainingSeconds;
+      });
+      await db.recursiveDelete(sectionRef);
+      await releaseStorage(storedBytes);
+      logger.info(`Deleted section ${sectionId} of course ${courseId}`);
+      res.json({
+        id: sectionId,
+        deleted: true,
+        courseTotalSeconds,
+        courseTotalLength: formatSecondsToDuration(courseTotalSeconds),
+      });
+    } catch (err) {
+      logger.error(`Failed to delete section ${sectionId} of course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to delete section', details: err.message });
+    }
+  });
+
+  // Update content details; passing a different sectionId moves the content to that section
+  app.patch('/course/:id/sections/:sectionId/contents/:contentId', requireAuth, requireCourseRole(), async (req, res) => {
+    const { id: courseId, sectionId, contentId } = req.params;
+    try {
+      const { courseRef } = req.course;
+      const contentRef = courseRef.collection('sections').doc(sectionId).collection('contents').doc(contentId);
+      const contentDoc = await contentRef.get();
+      if (!contentDoc.exists) {
+        return res.status(404).json({ error: 'Content not found' });
+      }
+
+      const body = req.body || {};
+      const { updates, error: fieldError, details: fieldDetails } = pickEditableFields(body, CONTENT_EDITABLE_FIELDS);
+      if (fieldError) {
+        return res.status(400).json({ error: fieldError, details: fieldDetails });
+      }
+      const targetSectionId = body.sectionId || sectionId;
+      if (Object.keys(updates).length === 0 && targetSectionId === sectionId) {
+        return res.status(400).json({ error: 'No editable fields provided', details: `Allowed: ${CONTENT_EDITABLE_FIELDS.join(', ')}, sectionId` });
+      }
+
+      if (targetSectionId === sectionId) {
+        await contentRef.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        logger.info(`Updated content ${contentId} in section ${sectionId}`, { updates });
+        return res.json({ id: contentId, sectionId, ...updates });
+      }
+
+      // Move: recreate the document under the target section and shift its duration between the sections
+      const moved = await moveContentRecord(courseRef, sectionId, targetSectionId, contentId, updates);
+      if (moved.error) {
+        return res.status(moved.status).json({ error: moved.error });
+      }
+      logger.info(`Moved content ${contentId} from section ${sectionId} to ${targetSectionId}`);
+
+      const responseData = { id: contentId, sectionId: targetSectionId, ...updates };
+      if (moved.type === 'video') {
+        responseData.sectionTotalSeconds = moved.sectionTotalSeconds;
+      }
+      res.json(responseData);
+    } catch (err) {
+      logger.error(`Failed to update content ${contentId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to update content', details: err.message });
+    }
+  });
+
+  // Delete a content and its files
+  app.delete('/course/:id/sections/:sectionId/contents/:contentId', requireAuth, requireCourseRole(), async (req, res) => {
+    const { id: courseId, sectionId, contentId } = req.params;
+    try {
+      const { courseRef } = req.course;
+      const contentRef = courseRef.collection('sections').doc(sectionId).collection('contents').doc(contentId);
+      const contentDoc = await contentRef.get();
+      if (!contentDoc.exists) {
+        return res.status(404).json({ error: 'Content not found' });
+      }
+      const content = contentDoc.data();
+
+      // Files go first so a storage failure leaves the content in place for a retry
+      try {
+        await deleteContentFiles(content);
+      } catch (err) {
+        logger.error(`Failed to delete stored files for content ${contentId}`, { err });
+        return res.status(failureStatus(res, err)).json({ error: 'Storage delete failed', details: err.message });
+      }
+
+      const removed = await removeContentRecord(courseRef, sectionId, contentId);
+      logger.info(`Deleted content ${contentId} from section ${sectionId}`);
+
+      const responseData = { id: contentId, deleted: true };
+      if (content.type === 'video' && removed.removed) {
+        responseData.sectionTotalSeconds = removed.sectionTotalSeconds;
+        responseData.sectionTotalLength = formatSecondsToDuration(removed.sectionTotalSeconds);
+        responseData.courseTotalSeconds = removed.courseTotalSeconds;
+        responseData.courseTotalLength = formatSecondsToDuration(removed.courseTotalSeconds);
+      }
+      res.json(responseData);
+    } catch (err) {
+      logger.error(`Failed to delete content ${contentId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to delete content', details: err.message });
+    }
+  });
+
+  // Delete a video's caption track for one language
+  app.delete('/course/:id/sections/:sectionId/contents/:contentId/captions/:language', requireAuth, requireCourseRole(), async (req, res) => {
+    const { sectionId, contentId, language } = req.params;
+    try {
+      const { courseRef } = req.course;
+      const contentRef = courseRef.collection('sections').doc(sectionId).collection('contents').doc(contentId);
+      const contentDoc = await contentRef.get();
+      const track = contentDoc.data()?.captions?.find((t) => t.language === language);
+      if (!track) {
+        return res.status(404).json({ error: 'Caption track not found' });
+      }
+
+      // Like content deletes, the file goes first so a storage failure leaves the track listed for a retry
+      try {
+        await deleteCaptionFile(track);
+      } catch (err) {
+        logger.error(`Failed to delete captions ${track.path}`, { err });
+        return res.status(failureStatus(res, err)).json({ error: 'Storage delete failed', details: err.message });
+      }
+
+      await db.runTransaction(async (transaction) => {
+        const currentDoc = await transaction.get(contentRef);
+        const captions = currentDoc.data()?.captions || [];
+        if (!captions.some((t) => t.path === track.path)) return;
+        transaction.update(contentRef, {
+          captions: captions.filter((t) => t.path !== track.path),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        addStorageRelease(transaction, getStoredBytesByUploader({ captions: [track] }));
+      });
+      logger.info(`Deleted ${language} captions from content ${contentId}`);
+      res.json({ id: contentId, language, deleted: true });
+    } catch (err) {
+      logger.error(`Failed to delete ${language} captions from content ${contentId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to delete captions', details: err.message });
+    }
+  });
+
+  // Create a quiz in a section, creating the section as a draft if needed. Body: { contentId?, title, order?,
+  // freePreview?, maxAttempts?, passingPercent?, questions } (see parseQuizQuestions). Like uploads, quizzes
+  // start as drafts; the answer key is written next to the quiz in the same transaction.
+  app.post('/course/:id/sections/:sectionId/quizzes', requireAuth, requireCourseRole(), async (req, res) => {
+    const { id: courseId, sectionId } = req.params;
+    const body = req.body || {};
+    const contentId = body.contentId || uuidv4();
+    const fields = pickEditableFields(body, CONTENT_EDITABLE_FIELDS);
+    const quizSettings = pickQuizSettings(body);
+    const parsed = parseQuizQuestions(body.questions);
+    const invalid = [fields, quizSettings, parsed].find((result) => result.error);
+    if (invalid) {
+      return res.status(400).json({ error: invalid.error, details: invalid.details });
+    }
+
+    try {
+      const { courseRef } = req.course;
+      const sectionRef = courseRef.collection('sections').doc(sectionId);
+      const contentRef = sectionRef.collection('contents').doc(contentId);
+      const keyRef = getQuizKeyRef(courseRef, contentId);
+      const contentData = {
+        title: CONTENT_DEFAULT_TITLE,
+        freePreview: false,
+        maxAttempts: null,
+        passingPercent: null,
+        ...fields.updates,
+        ...quizSettings.settings,
+        type: 'quiz',
+        uploader: req.user.uid,
+        status: 'draft',
+        questions: parsed.questions,
+        questionCount: parsed.questions.length,
+        totalPoints: parsed.totalPoints,
+        quizRevision: uuidv4(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      const created = await db.runTransaction(async (transaction) => {
+        const [sectionDoc, contentDoc, keyDoc] = await transaction.getAll(sectionRef, contentRef, keyRef);
+        // Answer keys and progress are keyed by contentId, so a quiz id can't be reused anywhere in the course
+        if (contentDoc.exists || keyDoc.exists) return false;
+        if (!sectionDoc.exists) {
+          transaction.set(sectionRef, {
+            ...totalFields(0),
+            status: 'draft',
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            order: 0,
+          });
+        }
+        transaction.set(contentRef, contentData);
+        transaction.set(keyRef, {
+          answers: parsed.answerKey,
+          quizRevision: contentData.quizRevision,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return true;
+      });
+      if (!created) {
+        return res.status(409).json({ error: 'Content already exists', details: `Content ${contentId} is already used in this course` });
+      }
+      logger.info(`Created quiz ${contentId} in section ${sectionId} of course ${courseId}`, { questionCount: contentData.questionCount });
+      const { createdAt, ...quiz } = contentData;
+      res.status(201).json({ id: contentId, sectionId, ...quiz });
+    } catch (err) {
+      logger.error(`Failed to create quiz ${contentId} in course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to create quiz', details: err.message });
+    }
+  });
+
+  // Fetch a quiz with its answer key, for editing (course instructors or admin)
+  app.get('/course/:id/sections/:sectionId/quizzes/:contentId', requireAuth, requireCourseRole(), async (req, res) => {
+    const { sectionId, contentId } = req.params;
+    try {
+      const { courseRef } = req.course;
+      const contentRef = courseRef.collection('sections').doc(sectionId).collection('contents').doc(contentId);
+      const [contentDoc, keyDoc] = await Promise.all([contentRef.get(), getQuizKeyRef(courseRef, contentId).get()]);
+      if (contentDoc.data()?.type !== 'quiz') {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+      const quiz = contentDoc.data();
+      const answers = keyDoc.data()?.answers || {};
+      res.json({
+        id: contentId,
+        sectionId,
+        ...quiz,
+        questions: quiz.questions.map((question) => ({ ...question, ...answers[question.id] })),
+      });
+    } catch (err) {
+      logger.error(`Failed to fetch quiz ${contentId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to fetch quiz', details: err.message });
+    }
+  });
+
+  // Change a quiz's questions or settings. Body: { questions?, maxAttempts?, passingPercent? }; title, order and
+  // moves go through the content route. New questions get a new revision and return the quiz to draft until the
+  // course is published again, the way a re-upload does. Attempts already made keep the score they were given.
+  app.patch('/course/:id/sections/:sectionId/quizzes/:contentId', requireAuth, requireCourseRole(), async (req, res) => {
+    const { sectionId, contentId } = req.params;
+    const body = req.body || {};
+    const quizSettings = pickQuizSettings(body);
+    const parsed = body.questions !== undefined ? parseQuizQuestions(body.questions) : {};
+    const invalid = [quizSettings, parsed].find((result) => result.error);
+    if (invalid) {
+      return res.status(400).json({ error: invalid.error, details: invalid.details });
+    }
+    const updates = { ...quizSettings.settings };
+    if (parsed.questions) {
+      Object.assign(updates, {
+        questions: parsed.questions,
+        questionCount: parsed.questions.length,
+        totalPoints: parsed.totalPoints,
+        quizRevision: uuidv4(),
+        status: 'draft',
+      });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided', details: 'Allowed: questions, maxAttempts, passingPercent' });
+    }
+
+    try {
+      const { courseRef } = req.course;
+      const contentRef = courseRef.collection('sections').doc(sectionId).collection('contents').doc(contentId);
+      const updated = await db.runTransaction(async (transaction) => {
+        const contentDoc = await transaction.get(contentRef);
+        if (contentDoc.data()?.type !== 'quiz') return false;
+        transaction.update(contentRef, { ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        if (parsed.questions) {
+          transaction.set(getQuizKeyRef(courseRef, contentId), {
+            answers: parsed.answerKey,
+            quizRevision: updates.quizRevision,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+        return true;
+      });
+      if (!updated) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+      logger.info(`Updated quiz ${contentId} in section ${sectionId}`, { fields: Object.keys(updates) });
+      res.json({ id: contentId, sectionId, ...updates });
+    } catch (err) {
+      logger.error(`Failed to update quiz ${contentId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to update quiz', details: err.message });
+    }
+  });
+
+  // Helper function to load a quiz the caller takes. Drafts are only open to the course's instructors and admins;
+  // otherwise the caller needs the same access as for a content's files.
+  async function loadQuizForCaller(courseId, sectionId, contentId, user) {
+    const courseRef = db.collection('courses').doc(courseId);
+    const sectionRef = courseRef.collection('sections').doc(sectionId);
+    const contentRef = sectionRef.collection('contents').doc(contentId);
+    const [courseDoc, sectionDoc, contentDoc] = await Promise.all([courseRef.get(), sectionRef.get(), contentRef.get()]);
+    const content = contentDoc.data();
+    if (!courseDoc.exists || content?.type !== 'quiz') {
+      return { status: 404, error: 'Quiz not found' };
+    }
+    const access = await getCourseAccess(courseId, courseDoc.data(), user);
+    if (!canManageCourse(access) && !(isPublished(courseDoc.data()) && isPublished(sectionDoc.data()) && isPublished(content))) {
+      return { status: 404, error: 'Quiz not found' };
+    }
+    if (!canViewContent(access, content, user)) {
+      return { status: 403, error: 'Forbidden', details: 'Not enrolled in this course' };
+    }
+    return { courseRef, contentRef, content, access };
+  }
+
+  // Submit an attempt at a quiz. Body: { answers: { questionId: choiceIndex | [choiceIndex, ...] | text } }.
+  // Grading and the maxAttempts check run in one transaction with the student's progress, so concurrent
+  // submissions can't go over the limit. A passing attempt (any attempt when the quiz has no passingPercent)
+  // completes the quiz. Only per-question correctness is returned, never the answer key.
+  app.post('/course/:id/sections/:sectionId/quizzes/:contentId/attempts', requireAuth, async (req, res) => {
+    const { id: courseId, sectionId, contentId } = req.params;
+    const uid = req.user.uid;
+    try {
+      const { courseRef, contentRef, content, status, error, details } = await loadQuizForCaller(courseId, sectionId, contentId, req.user);
+      if (error) {
+        return res.status(status).json({ error, details });
+      }
+      const checked = checkQuizAnswers(content.questions, req.body?.answers);
+      if (checked.error) {
+        return res.status(400).json({ error: checked.error, details: checked.details });
+      }
+
+      const { courseProgressRef, contentsRef } = getProgressRefs(uid, courseId);
+      const progressRef = contentsRef.doc(contentId);
+      const attemptRef = courseProgressRef.collection('quizAttempts').doc();
+      const attempt = await db.runTransaction(async (transaction) => {
+        const [quizDoc, keyDoc, progressDoc] = await transaction.getAll(contentRef, getQuizKeyRef(courseRef, contentId), progressRef);
+        const quiz = quizDoc.data();
+        // The answers were checked against these questions; they may have been replaced since
+        if (quiz?.quizRevision !== content.quizRevision || !keyDoc.exists) {
+          return { status: 409, error: 'Quiz changed', details: 'Reload the quiz and submit again' };
+        }
+        const existing = progressDoc.exists ? progressDoc.data() : {};
+        const attemptsUsed = existing.quizAttempts || 0;
+        if (quiz.maxAttempts && attemptsUsed >= quiz.maxAttempts) {
+          return { status: 409, error: 'No attempts left', details: `This quiz allows ${quiz.maxAttempts} attempt(s)` };
+        }
+
+        const grade = gradeQuizAttempt(quiz.questions, keyDoc.data().answers, checked.answers);
+        const passed = grade.percent >= (quiz.passingPercent ?? 0);
+        const completed = existing.completed === true || passed;
+        const attemptNumber = attemptsUsed + 1;
+        transaction.set(attemptRef, {
+          uid,
+          courseId,
+          sectionId,
+          contentId,
+          attemptNumber,
+          quizRevision: quiz.quizRevision,
+          answers: checked.answers,
+          ...grade,
+          passed,
+          submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.set(progressRef, {
+          uid,
+          courseId,
+          sectionId,
+          contentId,
+          type: 'quiz',
+          quizAttempts: attemptNumber,
+          lastPercent: grade.percent,
+          bestPercent: Math.max(existing.bestPercent ?? 0, grade.percent),
+          completed,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(completed && !existing.completed ? { completedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+        }, { merge: true });
+        transaction.set(courseProgressRef, {
+          uid,
+          courseId,
+          lastSectionId: sectionId,
+          lastContentId: contentId,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+        return { attemptNumber, maxAttempts: quiz.maxAttempts, passed, ...grade };
+      });
+      if (attempt.error) {
+        return res.status(attempt.status).json({ error: attempt.error, details: attempt.details });
+      }
+
+      logger.info(`Graded attempt ${attempt.attemptNumber} of ${uid} at quiz ${contentId}`, { percent: attempt.percent, passed: attempt.passed });
+      res.status(201).json({
+        attemptId: attemptRef.id,
+        attemptNumber: attempt.attemptNumber,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percent: attempt.percent,
+        passed: attempt.passed,
+        attemptsRemaining: attempt.maxAttempts ? attempt.maxAttempts - attempt.attemptNumber : null,
+        results: attempt.results,
+      });
+    } catch (err) {
+      logger.error(`Failed to grade attempt of ${uid} at quiz ${contentId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to submit attempt', details: err.message });
+    }
+  });
+
+  // List attempts at a quiz, oldest first: the caller's own, or a student's with ?uid= (course instructors or admin)
+  app.get('/course/:id/sections/:sectionId/quizzes/:contentId/attempts', requireAuth, async (req, res) => {
+    const { id: courseId, sectionId, contentId } = req.params;
+    if (req.query.uid !== undefined && !(typeof req.query.uid === 'string' && req.query.uid)) {
+      return res.status(400).json({ error: 'Invalid uid', details: 'uid must be a single user id' });
+    }
+    const uid = req.query.uid || req.user.uid;
+    try {
+      const { content, access, status, error, details } = await loadQuizForCaller(courseId, sectionId, contentId, req.user);
+      if (error) {
+        return res.status(status).json({ error, details });
+      }
+      if (uid !== req.user.uid && !canManageCourse(access)) {
+        return res.status(403).json({ error: 'Forbidden', details: 'Only the course instructors or an admin can see other students\' attempts' });
+      }
+
+      const { courseProgressRef, contentsRef } = getProgressRefs(uid, courseId);
+      const [attemptsSnapshot, progressDoc] = await Promise.all([
+        courseProgressRef.collection('quizAttempts').where('contentId', '==', contentId).get(),
+        contentsRef.doc(contentId).get(),
+      ]);
+      const progress = progressDoc.data() || {};
+      const attemptsUsed = progress.quizAttempts || 0;
+      res.json({
+        courseId,
+        sectionId,
+        contentId,
+        uid,
+        maxAttempts: content.maxAttempts ?? null,
+        attemptsUsed,
+        attemptsRemaining: content.maxAttempts ? Math.max(0, content.maxAttempts - attemptsUsed) : null,
+        bestPercent: progress.bestPercent ?? null,
+        completed: progress.completed === true,
+        attempts: attemptsSnapshot.docs.map(describeQuizAttempt).sort((a, b) => a.attemptNumber - b.attemptNumber),
+      });
+    } catch (err) {
+      logger.error(`Failed to list attempts of ${uid} at quiz ${contentId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to list attempts', details: err.message });
+    }
+  });
+
+  // Publish a course: validate the whole tree, freeze it as the next version and mark everything published
+  app.post('/course/:id/publish', requireAuth, requireCourseRole(), async (req, res) => {
+    const courseId = req.params.id;
+    try {
+      const { courseRef, course } = req.course;
+      const { sections } = await loadCourseTree(courseId);
+      const problems = findPublishProblems(course, sections);
+      if (problems.length > 0) {
+        logger.warn(`Course ${courseId} is not ready to publish`, { problems: problems.map((problem) => problem.code) });
+        return res.status(400).json({ error: 'Course is not ready to publish', details: problems });
+      }
+
+      const { status, publishedVersion, publishedAt, publishedBy, ...courseFields } = course;
+      const version = (publishedVersion || 0) + 1;
+      const snapshot = {
+        version,
+        publishedBy: req.user.uid,
+        publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+        contentCount: sections.reduce((count, section) => count + section.contents.length, 0),
+        totalSeconds: getTotalSeconds(course),
+        course: courseFields,
+        sections: sections.map((section) => ({
+          id: section.id,
+          ...section.data,
+          status: 'published',
+          contents: section.contents.map((content) => ({ id: content.id, ...content.data, status: 'published' })),
+        })),
+      };
+      try {
+        await courseRef.collection('versions').doc(String(version)).create(snapshot);
+      } catch (err) {
+        // 6 = ALREADY_EXISTS: another publish took this version number first
+        if (err.code !== 6) throw err;
+        return res.status(409).json({ error: 'Course is already being published', details: `Version ${version} exists` });
+      }
+
+      const writes = [];
+      for (const section of sections) {
+        if (section.data.status !== 'published') writes.push({ ref: section.ref, data: { status: 'published' } });
+        for (const content of section.contents) {
+          if (content.data.status !== 'published') writes.push({ ref: content.ref, data: { status: 'published' } });
+        }
+      }
+      await commitWrites(writes);
+      // The course goes last so publishedVersion only ever points at a fully applied version
+      await courseRef.update({
+        status: 'published',
+        publishedVersion: version,
+        publishedBy: req.user.uid,
+        publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`Published course ${courseId} as version ${version} (${writes.length} drafts published)`);
+      res.status(201).json({ id: courseId, version, contentCount: snapshot.contentCount, published: writes.length });
+    } catch (err) {
+      logger.error(`Failed to publish course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to publish course', details: err.message });
+    }
+  });
+
+  // List a course's published versions, newest first
+  app.get('/course/:id/versions', requireAuth, requireCourseRole(), async (req, res) => {
+    const courseId = req.params.id;
+    try {
+      const { courseRef, course } = req.course;
+      const versionsSnapshot = await courseRef
+        .collection('versions')
+        .select('version', 'publishedBy', 'publishedAt', 'contentCount', 'totalSeconds', 'rolledBackBy', 'rolledBackAt')
+        .orderBy('version', 'desc')
+        .get();
+      res.json({
+        id: courseId,
+        status: course.status || 'published',
+        publishedVersion: course.publishedVersion ?? null,
+        versions: versionsSnapshot.docs.map(describeVersion),
+      });
+    } catch (err) {
+      logger.error(`Failed to list versions of course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to list versions', details: err.message });
+    }
+  });
+
+  // Roll a course back to a published version. Sections and contents in the version get its titles, order and
+  // freePreview back and are published; everything added since returns to draft. Contents deleted or re-uploaded
+  // since the version no longer have its files (quizzes given new questions no longer have its questions), so
+  // they are reported as skipped instead of restored.
+  app.post('/course/:id/versions/:version/rollback', requireAuth, requireCourseRole(), async (req, res) => {
+    const { id: courseId, version } = req.params;
+    // Version documents are keyed by their number; anything else could not name a document at all
+    if (!/^[1-9]\d*$/.test(version)) {
+      return res.status(404).json({ error: 'Version not found', details: 'Versions are positive integers' });
+    }
+    try {
+      const { courseRef } = req.course;
+      const versionRef = courseRef.collection('versions').doc(version);
+      const versionDoc = await versionRef.get();
+      if (!versionDoc.exists) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      const snapshot = versionDoc.data();
+
+      const snapshotSections = new Map(snapshot.sections.map((section) => [section.id, section]));
+      const snapshotContents = new Map();
+      for (const section of snapshot.sections) {
+        for (const content of section.contents) snapshotContents.set(`${section.id}/${content.id}`, content);
+      }
+
+      const writes = [];
+      const restoredContents = new Set();
+      const pick = (source, fields) => Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+      for (const section of (await loadCourseTree(courseId)).sections) {
+        const snapshotSection = snapshotSections.get(section.id);
+        writes.push({
+          ref: section.ref,
+          data: snapshotSection ? { ...pick(snapshotSection, SECTION_EDITABLE_FIELDS), status: 'published' } : { status: 'draft' },
+        });
+        for (const content of section.contents) {
+          const key = `${section.id}/${content.id}`;
+          const snapshotContent = snapshotContents.get(key);
+          if (snapshotContent && snapshotContent.backblazePath === content.data.backblazePath
+            && snapshotContent.quizRevision === content.data.quizRevision) {
+            writes.push({ ref: content.ref, data: { ...pick(snapshotContent, CONTENT_EDITABLE_FIELDS), status: 'published' } });
+            restoredContents.add(key);
+          } else {
+            writes.push({ ref: content.ref, data: { status: 'draft' } });
+          }
+        }
+      }
+      const skipped = [...snapshotContents.keys()]
+        .filter((key) => !restoredContents.has(key))
+        .map((key) => {
+          const [sectionId, contentId] = key.split('/');
+          return { sectionId, contentId };
+        });
+
+      await commitWrites(writes);
+      await courseRef.update({
+        ...pick(snapshot.course, COURSE_EDITABLE_FIELDS),
+        status: 'published',
+        publishedVersion: snapshot.version,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      await versionRef.update({
+        rolledBackBy: req.user.uid,
+        rolledBackAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`Rolled course ${courseId} back to version ${snapshot.version} (${restoredContents.size} restored, ${skipped.length} skipped)`);
+      res.json({ id: courseId, version: snapshot.version, restored: restoredContents.size, skipped });
+    } catch (err) {
+      logger.error(`Failed to roll back course ${courseId} to version ${version}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to roll back course', details: err.message });
+    }
+  });
+
+  // Bulk reorder for drag-and-drop: sections and the contents inside them take the order of the arrays.
+  // Body: { sections: [{ id, contents: [contentId, ...] }, ...] }; contents may be omitted per section.
+  app.post('/course/:id/reorder', requireAuth, requireCourseRole(), async (req, res) => {
+    const courseId = req.params.id;
+    const { sections } = req.body || {};
+
+    if (!Array.isArray(sections) || sections.some((section) => !section?.id || (section.contents !== undefined && !Array.isArray(section.contents)))) {
+      return res.status(400).json({ error: 'Invalid reorder payload', details: 'Expected { sections: [{ id, contents?: [contentId] }] }' });
+    }
+
+    try {
+      const { courseRef } = req.course;
+
+      const sectionsSnapshot = await courseRef.collection('sections').get();
+      const existingSectionIds = new Set(sectionsSnapshot.docs.map((doc) => doc.id));
+      const unknownSections = sections.map((section) => section.id).filter((id) => !existingSectionIds.has(id));
+      if (unknownSections.length > 0) {
+        return res.status(400).json({ error: 'Unknown sections', details: unknownSections });
+      }
+
+      const writes = [];
+      for (const [sectionIndex, section] of sections.entries()) {
+        const sectionRef = courseRef.collection('sections').doc(section.id);
+        writes.push({ ref: sectionRef, data: { order: sectionIndex } });
+        if (!section.contents) continue;
+
+        const contentsSnapshot = await sectionRef.collection('contents').get();
+        const existingContentIds = new Set(contentsSnapshot.docs.map((doc) => doc.id));
+        const unknownContents = section.contents.filter((id) => !existingContentIds.has(id));
+        if (unknownContents.length > 0) {
+          return res.status(400).json({ error: 'Unknown contents', details: { sectionId: section.id, contents: unknownContents } });
+        }
+        section.contents.forEach((contentId, contentIndex) => {
+          writes.push({ ref: sectionRef.collection('contents').doc(contentId), data: { order: contentIndex } });
+        });
+      }
+
+      await commitWrites(writes);
+      logger.info(`Reordered ${writes.length} sections/contents in course ${courseId}`);
+      res.json({ id: courseId, updated: writes.length });
+    } catch (err) {
+      logger.error(`Failed to reorder course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to reorder course', details: err.message });
+    }
+  });
+
+  // Helper function to collect every storage path Firestore references.
+  // Returns exact paths (with where they are referenced) and prefixes whose files all belong to a video.
+  async function collectReferences() {
+    const paths = new Map();
+    const prefixes = new Set();
+    const addPath = (filePath, source) => {
+      if (filePath && !paths.has(filePath)) paths.set(filePath, source);
+    };
+
+    const coursesSnapshot = await db.collection('courses').select('thumbnailUrl').get();
+    for (const courseDoc of coursesSnapshot.docs) {
+      addPath(courseDoc.data().thumbnailUrl, { kind: 'thumbnail', courseId: courseDoc.id });
+    }
+
+    const contentsSnapshot = await db.collectionGroup('contents').get();
+    for (const contentDoc of contentsSnapshot.docs) {
+      const content = contentDoc.data();
+      if (!content.backblazePath) continue;
+      const sectionRef = contentDoc.ref.parent.parent;
+      const source = {
+        kind: 'content',
+        courseId: sectionRef.parent.parent.id,
+        sectionId: sectionRef.id,
+        contentId: contentDoc.id,
+      };
+      addPath(content.backblazePath, source);
+      if (content.type === 'video') {
+        prefixes.add(`${getVideoAssetPrefix(content.backblazePath)}/`);
+        for (const field of DERIVED_CONTENT_FIELDS) {
+          addPath(content[field], { ...source, field });
+        }
+        for (const track of content.captions || []) {
+          addPath(track.path, { ...source, field: `captions.${track.language}` });
+        }
+      }
+    }
+
+    // Files of in-progress resumable uploads only get a content document once the session finishes
+    const sessionsSnapshot = await db.collection('uploadSessions').where('status', '==', 'active').get();
+    for (const sessionDoc of sessionsSnapshot.docs) {
+      addPath(sessionDoc.data().filePath, { kind: 'uploadSession', sessionId: sessionDoc.id });
+    }
+
+    return { paths, prefixes };
+  }
+
+
+  // Helper function to write report items, one document each
+  async function writeReportItems(reportRef, items) {
+    await commitWrites(items.map((item) => ({ type: 'set', ref: reportRef.collection('items').doc(), data: item })));
+  }
+
+  // Dry run: list storage, compare against Firestore and store the report. Nothing is deleted.
+  async function createReconciliationReport({ createdBy, gracePeriodHours = ORPHAN_GRACE_HOURS }) {
+    const references = await collectReferences();
+    const graceCutoff = Date.now() - gracePeriodHours * 3600 * 1000;
+
+    const stored = new Set();
+    const orphans = [];
+    let fileCount = 0;
+    let orphanBytes = 0;
+    for (const prefix of RECONCILE_PREFIXES) {
+      for (const file of await storage.list(prefix)) {
+        fileCount++;
+        stored.add(file.key);
+        if (isReferenced(references, file.key)) continue;
+        const uploadedAt = new Date(file.uploadedAt);
+        orphans.push({
+          type: 'orphan',
+          key: file.key,
+          fileId: file.fileId || null,
+          size: file.size ?? null,
+          uploadedAt: admin.firestore.Timestamp.fromDate(uploadedAt),
+          // Recent files may belong to an upload whose Firestore write is still in flight
+          deletable: uploadedAt.getTime() < graceCutoff,
+        });
+        orphanBytes += file.size || 0;
+      }
+    }
+
+    const missing = [];
+    for (const [filePath, source] of references.paths) {
+      if (source.kind === 'uploadSession' || stored.has(filePath)) continue;
+      // Only paths under the reconciled prefixes can be checked against the listing
+      if (!RECONCILE_PREFIXES.some((prefix) => filePath.startsWith(prefix))) continue;
+      missing.push({ type: 'missing', key: filePath, ...source });
+    }
+
+    const reportRef = db.collection('storageReports').doc();
+    const summary = {
+      status: 'dry-run',
+      storageDriver: storage.name,
+      createdBy,
+      gracePeriodHours,
+      fileCount,
+      referencedCount: references.paths.size,
+      orphanCount: orphans.length,
+      orphanBytes,
+      deletableCount: orphans.filter((orphan) => orphan.deletable).length,
+      missingCount: missing.length,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await reportRef.set(summary);
+    await writeReportItems(reportRef, [...orphans, ...missing]);
+    logger.info(`Storage reconciliation ${reportRef.id}: ${fileCount} files, ${orphans.length} orphans, ${missing.length} missing`);
+
+    return { id: reportRef.id, ...summary, createdAt: new Date().toISOString(), orphans, missing };
+  }
+
+  // Helper function to load a stored report with its items
+  async function getReconciliationReport(reportId) {
+    const reportRef = db.collection('storageReports').doc(reportId);
+    const reportDoc = await reportRef.get();
+    if (!reportDoc.exists) return null;
+    const itemsSnapshot = await reportRef.collection('items').get();
+    const items = itemsSnapshot.docs.map((itemDoc) => ({ itemId: itemDoc.id, ...itemDoc.data() }));
+    return {
+      id: reportId,
+      ref: reportRef,
+      ...reportDoc.data(),
+      orphans: items.filter((item) => item.type === 'orphan'),
+      missing: items.filter((item) => item.type === 'missing'),
+    };
+  }
+
+  // Delete the deletable orphans of a stored dry-run report. Each file is re-checked against the current
+  // references first, so anything that became referenced since the dry run is kept.
+  async function deleteReportedOrphans({ reportId, deletedBy }) {
+    const report = await getReconciliationReport(reportId);
+    if (!report) {
+      return { status: 404, error: 'Report not found' };
+    }
+    if (report.status !== 'dry-run') {
+      return { status: 409, error: 'Report already applied', details: `Report status is ${report.status}` };
+    }
+    const ageHours = (Date.now() - report.createdAt.toMillis()) / 3600000;
+    if (ageHours > REPORT_MAX_AGE_HOURS) {
+      return { status: 409, error: 'Report is stale', details: `Run a new dry run; reports expire after ${REPORT_MAX_AGE_HOURS} hours` };
+    }
+    if (report.storageDriver !== storage.name) {
+      return { status: 409, error: 'Report was made for another storage driver', details: `Report driver is ${report.storageDriver}` };
+    }
+
+    const references = await collectReferences();
+
+    // Claim the report so two concurrent requests don't both delete
+    const claimed = await db.runTransaction(async (transaction) => {
+      const reportDoc = await transaction.get(report.ref);
+      if (reportDoc.data().status !== 'dry-run') return false;
+      transaction.update(report.ref, { status: 'deleting', deletedBy, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return true;
+    });
+    if (!claimed) {
+      return { status: 409, error: 'Report already applied' };
+    }
+
+    const deleted = [];
+    const skipped = [];
+    const failed = [];
+    for (const orphan of report.orphans) {
+      if (!orphan.deletable) {
+        skipped.push({ key: orphan.key, reason: 'Within grace period' });
+      } else if (isReferenced(references, orphan.key)) {
+        skipped.push({ key: orphan.key, reason: 'Referenced since the dry run' });
+      } else {
+        try {
+          await storage.delete(orphan.key, orphan.fileId ? { fileId: orphan.fileId } : {});
+          deleted.push(orphan.key);
+        } catch (err) {
+          logger.error(`Failed to delete orphan ${orphan.key}`, { error: err.message });
+          failed.push({ key: orphan.key, error: err.message });
+        }
+      }
+    }
+
+    await report.ref.update({
+      status: 'applied',
+      deletedCount: deleted.length,
+      skippedCount: skipped.length,
+      failedCount: failed.length,
+      appliedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    logger.info(`Storage reconciliation ${reportId}: deleted ${deleted.length} orphans, skipped ${skipped.length}, failed ${failed.length}`);
+
+    return { id: reportId, status: 'applied', deleted, skipped, failed };
+  }
+
+  // Admin: rebuild a course's totals from its contents (repairs drift and migrates legacy "mm:ss" durations)
+  app.post('/admin/courses/:id/recompute', requireAuth, async (req, res) => {
+    const courseId = req.params.id;
+    if (!isAdmin(req.user)) {
+      logger.warn('Non-admin attempted recompute', { uid: req.user.uid, courseId });
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+
+    try {
+      const courseDoc = await db.collection('courses').doc(courseId).get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      const totals = await recomputeCourseTotals(courseId);
+      res.json({ id: courseId, previousTotalLength: courseDoc.data().totalLength || '00:00', ...totals });
+    } catch (err) {
+      logger.error(`Failed to recompute totals for course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to recompute course totals', details: err.message });
+    }
+  });
+
+  // Helper function to describe a user's role for the admin role endpoints
+  function describeUserRole(userRecord) {
+    const claims = userRecord.customClaims || {};
+    return { uid: userRecord.uid, email: userRecord.email || null, role: getRole(claims) };
+  }
+
+  // Admin: read a user's role
+  app.get('/admin/users/:uid/role', requireAuth, async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+
+    try {
+      res.json(describeUserRole(await auth.getUser(req.params.uid)));
+    } catch (err) {
+      if (err.code === 'auth/user-not-found') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      logger.error(`Failed to read role for ${req.params.uid}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to read role', details: err.message });
+    }
+  });
+
+  // Admin: grant a role. Body: { role: 'student' | 'instructor' | 'admin' }.
+  // Other custom claims are kept; the new role reaches the user's ID token on its next refresh.
+  app.put('/admin/users/:uid/role', requireAuth, async (req, res) => {
+    const { uid } = req.params;
+    const role = req.body?.role;
+    if (!isAdmin(req.user)) {
+      logger.warn('Non-admin attempted to grant a role', { uid: req.user.uid, target: uid });
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', details: `Allowed: ${ROLES.join(', ')}` });
+    }
+    if (uid === req.user.uid && role !== 'admin') {
+      return res.status(400).json({ error: 'Cannot demote yourself', details: 'Ask another admin to change your role' });
+    }
+
+    try {
+      const userRecord = await auth.getUser(uid);
+      // admin: true is kept in sync for tokens and clients that predate the role claim
+      await auth.setCustomUserClaims(uid, { ...userRecord.customClaims, role, admin: role === 'admin' });
+      logger.info(`Set role ${role} for ${uid} by ${req.user.uid}`);
+      res.json({ uid, role });
+    } catch (err) {
+      if (err.code === 'auth/user-not-found') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      logger.error(`Failed to set role for ${uid}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to set role', details: err.message });
+    }
+  });
+
+  // Admin: revoke a user's role, leaving them a student
+  app.delete('/admin/users/:uid/role', requireAuth, async (req, res) => {
+    const { uid } = req.params;
+    if (!isAdmin(req.user)) {
+      logger.warn('Non-admin attempted to revoke a role', { uid: req.user.uid, target: uid });
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+    if (uid === req.user.uid) {
+      return res.status(400).json({ error: 'Cannot demote yourself', details: 'Ask another admin to change your role' });
+    }
+
+    try {
+      const userRecord = await auth.getUser(uid);
+      const { role, admin: wasAdmin, ...claims } = userRecord.customClaims || {};
+      await auth.setCustomUserClaims(uid, claims);
+      logger.info(`Revoked role ${role || (wasAdmin ? 'admin' : 'student')} from ${uid} by ${req.user.uid}`);
+      res.json({ uid, role: 'student' });
+    } catch (err) {
+      if (err.code === 'auth/user-not-found') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      logger.error(`Failed to revoke role for ${uid}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to revoke role', details: err.message });
+    }
+  });
+
+  // Admin: a user's storage usage against their quota
+  app.get('/admin/users/:uid/storage', requireAuth, async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+
+    try {
+      const usageDoc = await getUsageRef(req.params.uid).get();
+      res.json(describeStorageUsage(req.params.uid, usageDoc.data()));
+    } catch (err) {
+      logger.error(`Failed to read storage usage for ${req.params.uid}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to read storage usage', details: err.message });
+    }
+  });
+
+  // Admin: set a user's storage quota. Body: { quotaBytes } (null goes back to the default).
+  // Lowering it below current usage blocks further uploads but keeps existing files.
+  app.put('/admin/users/:uid/storage', requireAuth, async (req, res) => {
+    const { uid } = req.params;
+    const quotaBytes = req.body?.quotaBytes;
+    if (!isAdmin(req.user)) {
+      logger.warn('Non-admin attempted to set a storage quota', { uid: req.user.uid, target: uid });
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+    if (quotaBytes !== null && !(Number.isInteger(quotaBytes) && quotaBytes >= 0)) {
+      return res.status(400).json({ error: 'Invalid quota', details: 'quotaBytes must be a whole number of bytes or null' });
+    }
+
+    try {
+      const usageRef = getUsageRef(uid);
+      await usageRef.set({
+        quotaBytes: quotaBytes ?? admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      logger.info(`Set storage quota for ${uid} to ${quotaBytes ?? 'default'} by ${req.user.uid}`);
+      res.json(describeStorageUsage(uid, (await usageRef.get()).data()));
+    } catch (err) {
+      logger.error(`Failed to set storage quota for ${uid}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to set storage quota', details: err.message });
+    }
+  });
+
+  // Admin: dry-run storage reconciliation. Lists files under videos/, pdfs/ and thumbnails/, compares them with
+  // Firestore and stores the report; nothing is deleted. Body: { gracePeriodHours? }
+  app.post('/admin/storage/reconcile', requireAuth, async (req, res) => {
+    if (!isAdmin(req.user)) {
+      logger.warn('Non-admin attempted storage reconciliation', { uid: req.user.uid });
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+
+    const gracePeriodHours = req.body?.gracePeriodHours === undefined ? ORPHAN_GRACE_HOURS : Number(req.body.gracePeriodHours);
+    if (!Number.isFinite(gracePeriodHours) || gracePeriodHours < 1) {
+      return res.status(400).json({ error: 'Invalid gracePeriodHours', details: 'Must be at least 1 hour' });
+    }
+
+    try {
+      const report = await createReconciliationReport({ createdBy: req.user.uid, gracePeriodHours });
+      res.status(201).json(describeReport(report));
+    } catch (err) {
+      logger.error('Storage reconciliation failed', { err });
+      res.status(failureStatus(res, err)).json({ error: 'Storage reconciliation failed', details: err.message });
+    }
+  });
+
+  // Admin: fetch a stored reconciliation report
+  app.get('/admin/storage/reports/:reportId', requireAuth, async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+
+    try {
+      const report = await getReconciliationReport(req.params.reportId);
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+      res.json(describeReport(report));
+    } catch (err) {
+      logger.error(`Failed to fetch storage report ${req.params.reportId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to fetch storage report', details: err.message });
+    }
+  });
+
+  // Admin: delete the orphans of a dry-run report that are older than its grace period
+  app.post('/admin/storage/reports/:reportId/delete', requireAuth, async (req, res) => {
+    if (!isAdmin(req.user)) {
+      logger.warn('Non-admin attempted orphan deletion', { uid: req.user.uid });
+      return res.status(403).json({ error: 'Forbidden', details: 'Admin only' });
+    }
+
+    try {
+      const result = await deleteReportedOrphans({ reportId: req.params.reportId, deletedBy: req.user.uid });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error, details: result.details });
+      }
+      res.json(result);
+    } catch (err) {
+      logger.error(`Failed to delete orphans for report ${req.params.reportId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to delete orphans', details: err.message });
+    }
+  });
+
+  // Add a co-instructor to a course (course owner or admin). Body: { uid }; the user must hold the instructor role.
+  app.post('/course/:id/instructors', requireAuth, requireCourseRole({ ownerOnly: true }), async (req, res) => {
+    const courseId = req.params.id;
+    const { uid } = req.body || {};
+    if (typeof uid !== 'string' || !uid.trim()) {
+      return res.status(400).json({ error: 'Missing uid', details: 'uid is required' });
+    }
+
+    try {
+      const { courseRef, course } = req.course;
+      if (uid === course.uploader) {
+        return res.status(400).json({ error: 'User already owns this course' });
+      }
+      let userRecord;
+      try {
+        userRecord = await auth.getUser(uid);
+      } catch (err) {
+        if (err.code === 'auth/user-not-found') {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        throw err;
+      }
+      if (!isInstructor(userRecord.customClaims)) {
+        return res.status(400).json({ error: 'User is not an instructor', details: 'Grant the instructor role first' });
+      }
+
+      await courseRef.update({
+        instructors: admin.firestore.FieldValue.arrayUnion(uid),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`Added co-instructor ${uid} to course ${courseId}`);
+      res.status(201).json({ courseId, uid, role: 'instructor' });
+    } catch (err) {
+      logger.error(`Failed to add co-instructor to course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to add co-instructor', details: err.message });
+    }
+  });
+
+  // Remove a co-instructor from a course (course owner or admin)
+  app.delete('/course/:id/instructors/:uid', requireAuth, requireCourseRole({ ownerOnly: true }), async (req, res) => {
+    const { id: courseId, uid } = req.params;
+
+    try {
+      const { courseRef, course } = req.course;
+      if (!course.instructors?.includes(uid)) {
+        return res.status(404).json({ error: 'Co-instructor not found' });
+      }
+      await courseRef.update({
+        instructors: admin.firestore.FieldValue.arrayRemove(uid),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`Removed co-instructor ${uid} from course ${courseId}`);
+      res.json({ courseId, uid, removed: true });
+    } catch (err) {
+      logger.error(`Failed to remove co-instructor from course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to remove co-instructor', details: err.message });
+    }
+  });
+
+  // Enroll a student in a course (course instructors or admin)
+  app.post('/course/:id/enrollments', requireAuth, requireCourseRole(), async (req, res) => {
+    const courseId = req.params.id;
+    const { uid } = req.body || {};
+    if (typeof uid !== 'string' || !uid.trim()) {
+      return res.status(400).json({ error: 'Missing uid', details: 'uid is required' });
+    }
+
+    try {
+      const { courseRef } = req.course;
+      await courseRef.collection('enrollments').doc(uid).set({
+        uid,
+        enrolledBy: req.user.uid,
+        enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`Enrolled ${uid} in course ${courseId}`);
+      res.status(201).json({ courseId, uid });
+    } catch (err) {
+      logger.error(`Failed to enroll ${uid} in course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to enroll user', details: err.message });
+    }
+  });
+
+  // Remove a student's enrollment (course instructors or admin)
+  app.delete('/course/:id/enrollments/:uid', requireAuth, requireCourseRole(), async (req, res) => {
+    const { id: courseId, uid } = req.params;
+
+    try {
+      const { courseRef } = req.course;
+      await courseRef.collection('enrollments').doc(uid).delete();
+      logger.info(`Removed enrollment of ${uid} from course ${courseId}`);
+      res.json({ courseId, uid, removed: true });
+    } catch (err) {
+      logger.error(`Failed to remove enrollment of ${uid} from course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to remove enrollment', details: err.message });
+    }
+  });
+
+  // Helper function to load a course with its sections and contents, both sorted by order
+  async function loadCourseTree(courseId) {
+    const courseRef = db.collection('courses').doc(courseId);
+    const courseDoc = await courseRef.get();
+    if (!courseDoc.exists) return null;
+
+    const byOrder = (a, b) => (a.data.order ?? 0) - (b.data.order ?? 0);
+    const sectionsSnapshot = await courseRef.collection('sections').get();
+    const sections = await Promise.all(sectionsSnapshot.docs.map(async (sectionDoc) => {
+      const contentsSnapshot = await sectionDoc.ref.collection('contents').get();
+      return {
+        id: sectionDoc.id,
+        ref: sectionDoc.ref,
+        data: sectionDoc.data(),
+        contents: contentsSnapshot.docs.map((doc) => ({ id: doc.id, ref: doc.ref, data: doc.data() })).sort(byOrder),
+      };
+    }));
+    return { id: courseId, data: courseDoc.data(), sections: sections.sort(byOrder) };
+  }
+
+  // Helper function to get a student's progress document references for a course
+  function getProgressRefs(uid, courseId) {
+    const courseProgressRef = db.collection('users').doc(uid).collection('progress').doc(courseId);
+    return { courseProgressRef, contentsRef: courseProgressRef.collection('contentProgress') };
+  }
+
+  // Report playback position and/or completion for a content. Body: { position?: seconds, completed?: boolean }
+  app.put('/progress/:courseId/sections/:sectionId/contents/:contentId', requireAuth, async (req, res) => {
+    const { courseId, sectionId, contentId } = req.params;
+    const uid = req.user.uid;
+    const body = req.body || {};
+    const position = body.position !== undefined ? Number(body.position) : undefined;
+
+    if (position !== undefined && (isNaN(position) || position < 0)) {
+      return res.status(400).json({ error: 'Invalid position', details: 'position must be a non-negative number of seconds' });
+    }
+
+    try {
+      const courseRef = db.collection('courses').doc(courseId);
+      const [courseDoc, contentDoc] = await Promise.all([
+        courseRef.get(),
+        courseRef.collection('sections').doc(sectionId).collection('contents').doc(contentId).get(),
+      ]);
+      if (!courseDoc.exists || !contentDoc.exists) {
+        return res.status(404).json({ error: 'Content not found' });
+      }
+      const content = contentDoc.data();
+      const access = await getCourseAccess(courseId, courseDoc.data(), req.user);
+      if (!canViewContent(access, content, req.user)) {
+        return res.status(403).json({ error: 'Forbidden', details: 'Not enrolled in this course' });
+      }
+
+      const durationSeconds = getContentSeconds(content);
+      const { courseProgressRef, contentsRef } = getProgressRefs(uid, courseId);
+      const progressRef = contentsRef.doc(contentId);
+
+      const progress = await db.runTransaction(async (transaction) => {
+        const existingDoc = await transaction.get(progressRef);
+        const existing = existingDoc.exists ? existingDoc.data() : {};
+        const clampedPosition = position === undefined
+          ? existing.position || 0
+          : (durationSeconds > 0 ? Math.min(position, durationSeconds) : position);
+        const maxPosition = Math.max(existing.maxPosition || 0, clampedPosition);
+        const watchedDelta = getWatchedDelta(existing, clampedPosition);
+        // Completion is sticky: rewatching from the start doesn't undo it. Quizzes are only completed by an attempt.
+        const completed = existing.completed === true
+          || (body.completed === true && content.type !== 'quiz')
+          || (durationSeconds > 0 && maxPosition >= durationSeconds * COMPLETION_THRESHOLD);
+
+        const data = {
+          uid,
+          courseId,
+          sectionId,
+          contentId,
+          type: content.type,
+          position: clampedPosition,
+          maxPosition,
+          durationSeconds,
+          completed,
+          watchSeconds: (existing.watchSeconds || 0) + watchedDelta,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(completed && !existing.completed ? { completedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+        };
+        transaction.set(progressRef, data, { merge: true });
+        if (watchedDelta > 0) {
+          transaction.set(getContentStatsRef(courseId, contentId), {
+            sectionId,
+            watchSeconds: admin.firestore.FieldValue.increment(watchedDelta),
+          }, { merge: true });
+        }
+        transaction.set(courseProgressRef, {
+          uid,
+          courseId,
+          lastSectionId: sectionId,
+          lastContentId: contentId,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+        return data;
+      });
+
+      res.json({
+        courseId,
+        sectionId,
+        contentId,
+        position: progress.position,
+        maxPosition: progress.maxPosition,
+        durationSeconds,
+        completed: progress.completed,
+      });
+    } catch (err) {
+      logger.error(`Failed to record progress for ${uid} on content ${contentId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to record progress', details: err.message });
+    }
+  });
+
+  // Continue-watching items across the caller's most recently watched courses
+  app.get('/progress/continue-watching', requireAuth, async (req, res) => {
+    const uid = req.user.uid;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
+
+    try {
+      const snapshot = await db
+        .collection('users')
+        .doc(uid)
+        .collection('progress')
+        .orderBy('updatedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      const items = [];
+      for (const courseProgressDoc of snapshot.docs) {
+        const courseId = courseProgressDoc.id;
+        const tree = await loadCourseTree(courseId);
+        if (!tree || !isPublished(tree.data)) continue;
+        const contentsSnapshot = await courseProgressDoc.ref.collection('contentProgress').get();
+        const progressByContent = Object.fromEntries(contentsSnapshot.docs.map((doc) => [doc.id, doc.data()]));
+        const summary = summarizeCourseProgress(getPublishedTree(tree), progressByContent);
+        if (!summary.continueWatching) continue;
+        items.push({
+          courseId,
+          courseTitle: tree.data.title,
+          thumbnailUrl: tree.data.thumbnailUrl,
+          completion: summary.completion,
+          ...summary.continueWatching,
+        });
+      }
+      res.json({ items });
+    } catch (err) {
+      logger.error(`Failed to fetch continue-watching for ${uid}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to fetch continue watching', details: err.message });
+    }
+  });
+
+  // The caller's progress through a course: per-section and course completion plus a continue-watching item
+  app.get('/progress/:courseId', requireAuth, async (req, res) => {
+    const { courseId } = req.params;
+    const uid = req.user.uid;
+
+    try {
+      const tree = await loadCourseTree(courseId);
+      if (!tree) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      // Draft courses stay hidden from everyone but their instructors, as on GET /course/:id
+      if (!isPublished(tree.data) && !canManageCourse(await getCourseAccess(courseId, tree.data, req.user))) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      const { contentsRef } = getProgressRefs(uid, courseId);
+      const contentsSnapshot = await contentsRef.get();
+      const progressByContent = Object.fromEntries(contentsSnapshot.docs.map((doc) => [doc.id, doc.data()]));
+
+      res.json({
+        ...summarizeCourseProgress(getPublishedTree(tree), progressByContent),
+        contents: Object.fromEntries(Object.entries(progressByContent).map(([contentId, progress]) => [contentId, {
+          sectionId: progress.sectionId,
+          position: progress.position,
+          maxPosition: progress.maxPosition,
+          completed: progress.completed,
+        }])),
+      });
+    } catch (err) {
+      logger.error(`Failed to fetch progress for ${uid} in course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to fetch progress', details: err.message });
+    }
+  });
+
+  // Instructor report: views, unique viewers, watch time, average completion and drop-off per content and section.
+  // Progress comes from the collection-group index on contentProgress.courseId.
+  app.get('/analytics/courses/:id', requireAuth, requireCourseRole(), async (req, res) => {
+    const courseId = req.params.id;
+
+    try {
+      const { courseRef } = req.course;
+
+      const [tree, statsSnapshot, progressSnapshot] = await Promise.all([
+        loadCourseTree(courseId),
+        courseRef.collection('contentStats').get(),
+        db.collectionGroup('contentProgress').where('courseId', '==', courseId).get(),
+      ]);
+      const statsByContent = Object.fromEntries(statsSnapshot.docs.map((doc) => [doc.id, doc.data()]));
+      const progressByContent = {};
+      for (const doc of progressSnapshot.docs) {
+        const progress = doc.data();
+        (progressByContent[progress.contentId] = progressByContent[progress.contentId] || []).push(progress);
+      }
+
+      const courseLearners = new Set();
+      let courseViews = 0;
+      let courseWatchSeconds = 0;
+
+      const sections = tree.sections.map((section) => {
+        const sectionLearners = new Map(); // uid -> { watched, completed }
+        let sectionViews = 0;
+        let sectionWatchSeconds = 0;
+        let sectionTotalSeconds = 0;
+
+        const contents = section.contents.map((content) => {
+          const stats = statsByContent[content.id] || {};
+          const progressList = progressByContent[content.id] || [];
+          const completedCount = progressList.filter((progress) => progress.completed).length;
+          const stopDistribution = { '0-25': 0, '25-50': 0, '50-75': 0, '75-100': 0 };
+          let completionSum = 0;
+
+          for (const progress of progressList) {
+            const ratio = getCompletionRatio(content.data, progress);
+            completionSum += ratio;
+            if (!progress.completed) {
+              const bucket = ratio < 0.25 ? '0-25' : ratio < 0.5 ? '25-50' : ratio < 0.75 ? '50-75' : '75-100';
+              stopDistribution[bucket]++;
+            }
+            const learner = sectionLearners.get(progress.uid) || { watched: 0, completed: 0 };
+            learner.watched += getWatchedSeconds(content.data, progress);
+            if (progress.completed) learner.completed++;
+            sectionLearners.set(progress.uid, learner);
+            courseLearners.add(progress.uid);
+          }
+
+          sectionViews += stats.views || 0;
+          sectionWatchSeconds += stats.watchSeconds || 0;
+          sectionTotalSeconds += getContentSeconds(content.data);
+          return {
+            id: content.id,
+            title: content.data.title,
+            type: content.data.type,
+            durationSeconds: getContentSeconds(content.data),
+            views: stats.views || 0,
+            uniqueViewers: stats.uniqueViewers || 0,
+            watchSeconds: stats.watchSeconds || 0,
+            learners: progressList.length,
+            averageCompletion: toPercent(completionSum, progressList.length),
+            completionRate: toPercent(completedCount, progressList.length),
+            dropOff: toPercent(progressList.length - completedCount, progressList.length),
+            stopDistribution,
+          };
+        });
+
+        let sectionCompletionSum = 0;
+        let sectionFinishers = 0;
+        for (const learner of sectionLearners.values()) {
+          sectionCompletionSum += sectionTotalSeconds > 0
+            ? Math.min(learner.watched / sectionTotalSeconds, 1)
+            : learner.completed / Math.max(section.contents.length, 1);
+          if (learner.completed >= section.contents.length) sectionFinishers++;
+        }
+
+        courseViews += sectionViews;
+        courseWatchSeconds += sectionWatchSeconds;
+        return {
+          id: section.id,
+          title: section.data.title,
+          views: sectionViews,
+          watchSeconds: sectionWatchSeconds,
+          learners: sectionLearners.size,
+          averageCompletion: toPercent(sectionCompletionSum, sectionLearners.size),
+          dropOff: toPercent(sectionLearners.size - sectionFinishers, sectionLearners.size),
+          contents,
+        };
+      });
+
+      res.json({
+        courseId,
+        views: courseViews,
+        watchSeconds: courseWatchSeconds,
+        learners: courseLearners.size,
+        sections,
+      });
+    } catch (err) {
+      logger.error(`Failed to build analytics for course ${courseId}`, { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to build analytics', details: err.message });
+    }
+  });
+
+  // Health check endpoint
+  // Liveness: the process is up and serving requests. No dependency is touched, so an outage elsewhere
+  // never gets the instance restarted.
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Readiness: storage answers with the configured credentials, Firestore is reachable and the ffmpeg/ffprobe
+  // binaries run. Any failing check answers 503 so the instance is taken out of rotation.
+  app.get('/health/ready', async (req, res) => {
+    const checks = {
+      storage: () => storage.ping(),
+      firestore: () => db.listCollections(),
+      ffmpeg: () => checkMediaTools(),
+    };
+    const results = Object.fromEntries(await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      const startedAt = Date.now();
+      try {
+        await withTimeout(check(), name);
+        return [name, { ok: true, durationMs: Date.now() - startedAt }];
+      } catch (err) {
+        logger.warn(`Readiness check ${name} failed`, { error: err.message });
+        return [name, { ok: false, durationMs: Date.now() - startedAt, error: err.message }];
+      }
+    })));
+    const ready = Object.values(results).every((result) => result.ok);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'unavailable',
+      storageDriver: storage.name,
+      checks: results,
+      circuits: Object.fromEntries(Object.entries(breakers).map(([name, breaker]) => [name, breaker.getState()])),
+    });
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'Server is running',
+      storageDriver: storage.name,
+      env: {
+        KEY_ID: !!process.env.KEY_ID,
+        APP_KEY: !!process.env.APP_KEY,
+        BUCKET_NAME: !!process.env.BUCKET_NAME,
+        BUCKET_ID: !!process.env.BUCKET_ID,
+        GOOGLE_APPLICATION_CREDENTIALS_JSON: !!process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON,
+      },
+    });
+  });
+
+  // Prometheus metrics. When METRICS_TOKEN is set, scrapers must send it as a bearer token.
+  app.get('/metrics', async (req, res) => {
+    const metricsToken = process.env.METRICS_TOKEN;
+    if (metricsToken && req.get('Authorization') !== `Bearer ${metricsToken}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    try {
+      res.set('Content-Type', metricsRegister.contentType);
+      res.send(await metricsRegister.metrics());
+    } catch (err) {
+      logger.error('Failed to collect metrics', { err });
+      res.status(failureStatus(res, err)).json({ error: 'Failed to collect metrics', details: err.message });
+    }
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  parseDurationToSeconds,
+  formatSecondsToDuration,
+  getContentSeconds,
+  getTotalSeconds,
+  validateUploadBuffer,
+  parseQuizQuestions,
+  checkQuizAnswers,
+  gradeQuizAttempt,
+};
@@ -0,0 +1,192 @@
+const { logger } = require('./logger');
+const { circuitBreakerOpen } = require('./metrics');
+
+// Circuit breakers for the services every request depends on (the storage backend and Firestore).
+// After BREAKER_FAILURE_THRESHOLD transient failures in a row a breaker opens and calls fail fast with a
+// DEPENDENCY_UNAVAILABLE error (served as 503) for BREAKER_RESET_MS. Then a single trial call is let through
+// and its outcome closes the breaker or opens it again. Errors that show the service answered (not found,
+// permission denied, bad request, ...) count as successes.
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 5;
+const BREAKER_RESET_MS = parseInt(process.env.BREAKER_RESET_MS, 10) || 30000;
+// Retry-After for a transient failure while the breaker is still closed
+const DEPENDENCY_RETRY_AFTER_SECONDS = 5;
+// Storage calls are retried here (the drivers' own client retries are turned off); Firestore calls are not,
+// as the Firestore client already retries UNAVAILABLE and DEADLINE_EXCEEDED itself
+const STORAGE_RETRY_ATTEMPTS = 3;
+const STORAGE_RETRY_BASE_MS = 250;
+
+// Storage operations that are safe to repeat. Starting a multipart upload again would leave an unfinished
+// one behind, and completing one twice fails once the first attempt went through.
+const RETRYABLE_STORAGE_OPERATIONS = [
+  'initialize', 'ping', 'put', 'list', 'delete', 'deletePrefix', 'getSignedReadUrl', 'download', 'downloadBuffer',
+  'uploadPart', 'abortMultipart',
+];
+const STORAGE_OPERATIONS = [...RETRYABLE_STORAGE_OPERATIONS, 'startMultipart', 'completeMultipart'];
+
+// Firestore methods that call the backend (everything else builds references and queries).
+// Write batches only call it on commit; their set/update/delete just queue writes.
+const FIRESTORE_CALLS = new Set(['get', 'getAll', 'set', 'update', 'delete', 'create', 'add', 'commit', 'runTransaction', 'listCollections', 'listDocuments']);
+const FIRESTORE_CHAINABLE = new Set(['CollectionReference', 'DocumentReference', 'Query', 'CollectionGroup', 'WriteBatch', 'AggregateQuery']);
+
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH',
+  'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT',
+]);
+// gRPC status codes: 4 = DEADLINE_EXCEEDED, 13 = INTERNAL, 14 = UNAVAILABLE
+const TRANSIENT_GRPC_CODES = new Set([4, 13, 14]);
+
+// Helper function to tell an outage (network error, timeout, 5xx, throttling) from an error the service returned
+function isTransientError(err) {
+  if (!err) return false;
+  if (TRANSIENT_NETWORK_CODES.has(err.code)) return true;
+  if (typeof err.code === 'number') return TRANSIENT_GRPC_CODES.has(err.code);
+  // axios (B2) and the AWS SDK (S3) report the HTTP status in different places
+  const status = err.response?.status ?? err.$metadata?.httpStatusCode;
+  return status >= 500 || status === 408 || status === 429;
+}
+
+// Helper function to build the error served as 503 when a dependency is down
+function dependencyUnavailableError(dependency, retryAfter, cause) {
+  const err = new Error(cause
+    ? `${dependency} is unavailable: ${cause.message}`
+    : `${dependency} is unavailable, retry in ${retryAfter}s`);
+  err.code = 'DEPENDENCY_UNAVAILABLE';
+  err.dependency = dependency;
+  err.retryAfter = retryAfter;
+  if (cause) err.cause = cause;
+  return err;
+}
+
+function isDependencyUnavailable(err) {
+  return err?.code === 'DEPENDENCY_UNAVAILABLE';
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Helper function to run fn up to `attempts` times, backing off exponentially (with jitter) after transient failures
+async function withRetry(fn, { attempts = STORAGE_RETRY_ATTEMPTS, baseMs = STORAGE_RETRY_BASE_MS, label } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= attempts || !isTransientError(err)) throw err;
+      const delay = Math.round(baseMs * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4));
+      logger.warn(`Retrying ${label || 'call'} after transient failure`, { attempt, delayMs: delay, error: err.message });
+      await sleep(delay);
+    }
+  }
+}
+
+function createCircuitBreaker(name, { failureThreshold = BREAKER_FAILURE_THRESHOLD, resetMs = BREAKER_RESET_MS } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialRunning = false;
+
+  function setState(next) {
+    if (next === state) return;
+    state = next;
+    circuitBreakerOpen.set({ dependency: name }, state === 'closed' ? 0 : 1);
+    if (state === 'open') logger.warn(`Circuit breaker for ${name} opened`, { failures, resetMs });
+    if (state === 'closed') logger.info(`Circuit breaker for ${name} closed`);
+  }
+
+  function retryAfter() {
+    return state === 'closed'
+      ? DEPENDENCY_RETRY_AFTER_SECONDS
+      : Math.max(1, Math.ceil((openedAt + resetMs - Date.now()) / 1000));
+  }
+
+  // Returns whether the call is the half-open trial, or throws while the breaker is open
+  function admit() {
+    if (state === 'open' && Date.now() - openedAt >= resetMs) setState('half-open');
+    if (state === 'open' || (state === 'half-open' && trialRunning)) {
+      throw dependencyUnavailableError(name, retryAfter());
+    }
+    if (state === 'half-open') {
+      trialRunning = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordFailure() {
+    failures++;
+    if (state === 'half-open' || failures >= failureThreshold) {
+      openedAt = Date.now();
+      setState('open');
+    }
+  }
+
+  function recordSuccess() {
+    failures = 0;
+    setState('closed');
+  }
+
+  // Run fn through the breaker; transient failures are rethrown as DEPENDENCY_UNAVAILABLE
+  async function run(fn) {
+    const isTrial = admit();
+    try {
+      const result = await fn();
+      recordSuccess();
+      return result;
+    } catch (err) {
+      if (!isTransientError(err)) {
+        recordSuccess();
+        throw err;
+      }
+      recordFailure();
+      throw dependencyUnavailableError(name, retryAfter(), err);
+    } finally {
+      if (isTrial) trialRunning = false;
+    }
+  }
+
+  function getState() {
+    if (state === 'open' && Date.now() - openedAt >= resetMs) return 'half-open';
+    return state;
+  }
+
+  circuitBreakerOpen.set({ dependency: name }, 0);
+  return { name, run, getState };
+}
+
+// Wrap a storage driver so its calls are retried and go through the breaker
+function protectStorage(storage, breaker) {
+  return new Proxy(storage, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop);
+      if (!STORAGE_OPERATIONS.includes(prop) || typeof value !== 'function') return value;
+      const call = (args) => value.apply(target, args);
+      if (!RETRYABLE_STORAGE_OPERATIONS.includes(prop)) return (...args) => breaker.run(() => call(args));
+      return (...args) => breaker.run(() => withRetry(() => call(args), { label: `storage ${prop}` }));
+    },
+  });
+}
+
+// Wrap a Firestore instance so backend calls go through the breaker. References, queries and batches it
+// hands out are wrapped the same way.
+function protectFirestore(db, breaker) {
+  const wrap = (target) => new Proxy(target, {
+    get(obj, prop) {
+      const value = Reflect.get(obj, prop);
+      if (typeof value !== 'function' || prop === 'constructor') return value;
+      const isCall = FIRESTORE_CALLS.has(prop) && (prop === 'commit' || obj.constructor?.name !== 'WriteBatch');
+      if (isCall) return (...args) => breaker.run(() => value.apply(obj, args));
+      return (...args) => {
+        const result = value.apply(obj, args);
+        return result && FIRESTORE_CHAINABLE.has(result.constructor?.name) ? wrap(result) : result;
+      };
+    },
+  });
+  return wrap(db);
+}
+
+module.exports = {
+  createCircuitBreaker,
+  protectStorage,
+  protectFirestore,
+  isTransientError,
+  isDependencyUnavailable,
+  withRetry,
+};
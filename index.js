@@ -1,27 +1,12 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
 const admin = require('firebase-admin');
-const BackblazeB2 = require('backblaze-b2');
-const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
-const { Readable } = require('stream');
-
-const app = express();
-
-// Configure CORS for Flutter web app
-app.use(cors({
-  origin: ['http://localhost:63055', 'http://localhost:3000', 'https://your-production-domain.com'],
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Authorization', 'Content-Type'],
-}));
-app.use(express.json());
+const { createStorage } = require('./storage');
+const { createApp } = require('./app');
+const { logger } = require('./logger');
 
 // Initialize Firebase Admin
 try {
-  console.log('GOOGLE_APPLICATION_CREDENTIALS_JSON length:', process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON?.length || 'Undefined');
   if (!process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
     throw new Error('GOOGLE_APPLICATION_CREDENTIALS_JSON is not set');
   }
@@ -29,521 +14,38 @@ try {
   admin.initializeApp({
     credential: admin.credential.cert(serviceAccount),
   });
-  console.log('Firebase initialized successfully at', new Date().toISOString());
+  logger.info('Firebase initialized successfully');
 } catch (err) {
-  console.error('Firebase initialization failed at', new Date().toISOString(), err.message);
-  console.error('Invalid JSON content:', process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON || 'Undefined');
+  // The error name only: a JSON parse error's message quotes part of its input, so it could leak the credentials
+  logger.error('Firebase initialization failed', {
+    errorName: err.name,
+    jsonSet: !!process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON,
+    jsonLength: process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON?.length ?? 0,
+  });
   process.exit(1);
 }
 
-// Initialize Backblaze B2
-let b2 = null;
-async function initializeB2() {
-  try {
-    b2 = new BackblazeB2({
-      applicationKeyId: process.env.KEY_ID,
-      applicationKey: process.env.APP_KEY,
-    });
-    await b2.authorize();
-    console.log('B2 initialized and authorized at', new Date().toISOString());
-  } catch (err) {
-    console.error('B2 initialization failed at', new Date().toISOString(), err.message);
-    throw err;
-  }
+// Initialize storage backend (STORAGE_DRIVER=b2|local|s3, defaults to Backblaze B2)
+const storage = createStorage();
+storage.initialize().catch((err) => logger.error(`Storage (${storage.name}) initialization failed`, { err }));
+if (!storage.supportsPrefixUrls) {
+  logger.warn(`The ${storage.name} storage driver has no prefix URLs: videos get a poster but no HLS ladder or seek-preview sprite`);
 }
-initializeB2().catch(err => console.error('B2 initialization failed:', err));
 
 // Check ffmpeg availability
 try {
   ffmpeg.getAvailableCodecs((err, codecs) => {
     if (err) {
-      console.error('ffmpeg not found:', err.message);
+      logger.error('ffmpeg not found', { error: err.message });
     } else {
-      console.log('ffmpeg found:', Object.keys(codecs).length, 'codecs available');
+      logger.info(`ffmpeg found: ${Object.keys(codecs).length} codecs available`);
     }
   });
 } catch (err) {
-  console.error('Error checking ffmpeg:', err.message);
-}
-
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
-// Helper function to parse duration (mm:ss, hh:mm:ss, Xmin, or invalid formats)
-function parseDurationToSeconds(duration) {
-  if (!duration || duration === '00:00' || duration === '00:00:00' || duration === '0min') {
-    console.warn(`Invalid or zero duration: ${duration}, returning 0 seconds`);
-    return 0;
-  }
-  try {
-    console.log(`Parsing duration: ${duration}`);
-    if (duration.includes('min') || duration.includes('hr')) {
-      const parts = duration.split(' ');
-      let totalSeconds = 0;
-      for (const part of parts) {
-        if (part.includes('hr')) {
-          totalSeconds += (parseInt(part.replace('hr', '')) || 0) * 3600;
-        } else if (part.includes('min')) {
-          totalSeconds += (parseInt(part.replace('min', '')) || 0) * 60;
-        }
-      }
-      console.log(`Parsed as ${totalSeconds} seconds`);
-      return totalSeconds;
-    }
-    const parts = duration.split(':').map(Number);
-    console.log(`Split parts: ${parts}`);
-    if (parts.length === 2) {
-      return parts[0] * 60 + parts[1];
-    } else if (parts.length === 3) {
-      return parts[0] * 3600 + parts[1] * 60 + parts[2];
-    }
-    console.error(`Invalid duration format: ${duration}`);
-    return 0;
-  } catch (err) {
-    console.error(`Error parsing duration "${duration}": ${err.message}`);
-    return 0;
-  }
-}
-
-// Helper function to convert seconds to mm:ss or hh:mm:ss
-function formatSecondsToDuration(seconds) {
-  if (!seconds || seconds <= 0) {
-    console.log(`Formatting ${seconds}s to 00:00`);
-    return '00:00';
-  }
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = seconds % 60;
-  const formatted = hours > 0
-    ? `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
-    : `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-  console.log(`Formatting ${seconds}s to ${formatted}`);
-  return formatted;
-}
-
-// Helper function to get total duration for a section
-async function getSectionTotalLength(courseId, sectionId) {
-  try {
-    const contentsSnapshot = await admin.firestore()
-      .collection('courses')
-      .doc(courseId)
-      .collection('sections')
-      .doc(sectionId)
-      .collection('contents')
-      .where('type', '==', 'video')
-      .get();
-    const totalSeconds = contentsSnapshot.docs.reduce((sum, doc) => {
-      const duration = doc.data().duration || '00:00';
-      if (!duration.match(/^(?:\d{2}:\d{2}(?::\d{2})?)$/)) {
-        console.warn(`Invalid duration format in content ${doc.id}: ${duration}, treating as 0`);
-        return sum;
-      }
-      return sum + parseDurationToSeconds(duration);
-    }, 0);
-    const formatted = formatSecondsToDuration(totalSeconds);
-    console.log(`Section ${sectionId} totalLength: ${formatted}`);
-    return formatted;
-  } catch (err) {
-    console.error(`Error calculating section totalLength for course ${courseId}, section ${sectionId}:`, err.message);
-    return '00:00';
-  }
+  logger.error('Error checking ffmpeg', { error: err.message });
 }
 
-// Helper function to get total duration for a course
-async function getCourseTotalLength(courseId) {
-  try {
-    const sectionsSnapshot = await admin.firestore()
-      .collection('courses')
-      .doc(courseId)
-      .collection('sections')
-      .get();
-    let totalSeconds = 0;
-    for (const sectionDoc of sectionsSnapshot.docs) {
-      const duration = sectionDoc.data().totalLength || '00:00';
-      if (!duration.match(/^(?:\d{2}:\d{2}(?::\d{2})?)$/)) {
-        console.warn(`Invalid duration format in section ${sectionDoc.id}: ${duration}, treating as 0`);
-        continue;
-      }
-      console.log(`Section ${sectionDoc.id} totalLength: ${duration}`);
-      totalSeconds += parseDurationToSeconds(duration);
-    }
-    const formatted = formatSecondsToDuration(totalSeconds);
-    console.log(`Course ${courseId} totalLength: ${formatted}`);
-    return formatted;
-  } catch (err) {
-    console.error(`Error calculating course totalLength for course ${courseId}:`, err.message);
-    return '00:00';
-  }
-}
-
-// Function to get video duration
-async function getVideoDuration(filePath, buffer) {
-  return new Promise((resolve) => {
-    try {
-      const stream = Readable.from(buffer);
-      ffmpeg(stream)
-        .ffprobe((err, metadata) => {
-          if (err) {
-            console.error(`ffprobe error for ${filePath}:`, err.message, err.stack);
-            resolve('00:00');
-            return;
-          }
-          console.log(`ffprobe metadata for ${filePath}:`, JSON.stringify({
-            duration: metadata.format?.duration,
-            format: metadata.format?.format_name,
-            size: metadata.format?.size,
-            streams: metadata.streams?.map(s => ({
-              codec_type: s.codec_type,
-              codec_name: s.codec_name,
-              duration: s.duration
-            }))
-          }, null, 2));
-          const duration = metadata.format?.duration;
-          if (!duration || isNaN(duration) || duration < 1) {
-            console.error(`Invalid or too short duration in metadata for ${filePath}: ${duration || 'undefined'}`);
-            resolve('00:00');
-            return;
-          }
-          const totalSeconds = Math.round(duration);
-          const formattedDuration = formatSecondsToDuration(totalSeconds);
-          console.log(`Extracted duration: ${formattedDuration} for ${filePath}`);
-          resolve(formattedDuration);
-        });
-    } catch (err) {
-      console.error(`Error processing ${filePath} with ffmpeg:`, err.message, err.stack);
-      resolve('00:00');
-    }
-  });
-}
-
-// Endpoint to generate signed URL for Backblaze files
-app.get('/file-url', async (req, res) => {
-  const idToken = req.headers.authorization?.split('Bearer ')[1];
-  const filePath = req.query.file;
-
-  if (!idToken || !filePath) {
-    console.error('Missing idToken or filePath at', new Date().toISOString(), { idToken: !!idToken, filePath });
-    return res.status(400).json({ error: 'Missing idToken or filePath' });
-  }
-
-  try {
-    await admin.auth().verifyIdToken(idToken);
-    console.log(`Verified token for file: ${filePath} at`, new Date().toISOString());
-
-    if (!b2) await initializeB2();
-    const authResponse = await b2.authorize();
-    const response = await b2.getDownloadAuthorization({
-      bucketId: process.env.BUCKET_ID,
-      fileNamePrefix: filePath,
-      validDurationInSeconds: 3600,
-    });
-
-    const downloadUrl = response.data.downloadUrl || authResponse.data.downloadUrl || `https://f000.backblazeb2.com`;
-    const signedUrl = `${downloadUrl}/file/${process.env.BUCKET_NAME}/${filePath}?Authorization=${response.data.authorizationToken}`;
-    console.log(`Generated signed URL: ${signedUrl} at`, new Date().toISOString());
-
-    res.json({ url: signedUrl });
-  } catch (err) {
-    console.error(`Error generating signed URL for ${filePath} at`, new Date().toISOString(), err.message, err.stack);
-    res.status(500).json({ error: 'Failed to generate signed URL', details: err.message });
-  }
-});
-
-// Upload endpoint
-app.post('/upload', upload.single('file'), async (req, res) => {
-  console.log('Received upload request at', new Date().toISOString(), {
-    headers: req.headers,
-    body: req.body,
-    file: !!req.file,
-    fileSize: req.file?.size,
-  });
-
-  try {
-    const idToken = req.headers.authorization?.split('Bearer ')[1];
-    if (!idToken) {
-      console.error('Missing idToken at', new Date().toISOString());
-      return res.status(401).json({ error: 'Unauthorized: Missing ID token' });
-    }
-
-    console.log('Verifying token at', new Date().toISOString());
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const userId = decodedToken.uid;
-
-    if (!b2) await initializeB2();
-    console.log('Backblaze initialized at', new Date().toISOString());
-
-    const { type, courseId, uploader, name = 'Untitled', sectionId = 'default', contentId, order } = req.body;
-    const file = req.file;
-
-    if (!type || !courseId || !uploader || !file || (type !== 'thumbnail' && !contentId)) {
-      console.error('Missing required fields at', new Date().toISOString(), { type, courseId, uploader, file: !!file, contentId });
-      return res.status(400).json({ error: 'Missing required fields or file' });
-    }
-
-    if (uploader !== userId) {
-      console.error('Uploader does not match authenticated user at', new Date().toISOString(), { uploader, userId });
-      return res.status(403).json({ error: 'Forbidden', details: 'Uploader does not match authenticated user' });
-    }
-
-    if (!['video', 'pdf', 'thumbnail'].includes(type)) {
-      console.error('Invalid file type at', new Date().toISOString(), { type });
-      return res.status(400).json({ error: 'Invalid file type' });
-    }
-
-    const uuid = uuidv4();
-    let filePath;
-    const fileExtension = path.extname(file.originalname).toLowerCase();
-    if (type === 'video') {
-      if (!['.mp4', '.mov', '.avi'].includes(fileExtension)) {
-        console.error('Invalid video format at', new Date().toISOString(), { fileExtension });
-        return res.status(400).json({ error: 'Invalid video format', details: 'Only MP4, MOV, or AVI allowed' });
-      }
-      filePath = `videos/vid_${uuid}${fileExtension}`;
-    } else if (type === 'pdf') {
-      if (fileExtension !== '.pdf') {
-        console.error('Invalid PDF format at', new Date().toISOString(), { fileExtension });
-        return res.status(400).json({ error: 'Invalid file format', details: 'Only PDF allowed' });
-      }
-      filePath = `pdfs/pdf_${uuid}${fileExtension}`;
-    } else {
-      if (!['.jpg', '.jpeg', '.png'].includes(fileExtension)) {
-        console.error('Invalid thumbnail format at', new Date().toISOString(), { fileExtension });
-        return res.status(400).json({ error: 'Invalid thumbnail format', details: 'Only JPG or PNG allowed' });
-      }
-      filePath = `thumbnails/thumb_${uuid}${fileExtension}`;
-    }
-
-    let duration = '00:00';
-    if (type === 'video') {
-      duration = await getVideoDuration(filePath, file.buffer);
-      if (duration === '00:00') {
-        console.warn(`Failed to extract duration for ${filePath}, using fallback: 00:00`);
-      }
-    }
-
-    let fileId;
-    try {
-      const uploadUrlResponse = await b2.getUploadUrl({ bucketId: process.env.BUCKET_ID });
-      console.log('Got upload URL at', new Date().toISOString());
-      const uploadResponse = await b2.uploadFile({
-        uploadUrl: uploadUrlResponse.data.uploadUrl,
-        uploadAuthToken: uploadUrlResponse.data.authorizationToken,
-        fileName: filePath,
-        data: file.buffer,
-      });
-      fileId = uploadResponse.data.fileId;
-      console.log(`${type} uploaded to Backblaze at`, new Date().toISOString());
-    } catch (err) {
-      console.error('Backblaze upload failed at', new Date().toISOString(), err.message, err.stack);
-      return res.status(500).json({ error: 'Backblaze upload failed', details: err.message });
-    }
-
-    try {
-      let sectionTotalLength = '00:00';
-      let courseTotalLength = '00:00';
-      if (type === 'thumbnail') {
-        await admin.firestore().collection('courses').doc(courseId).update({
-          thumbnailUrl: filePath,
-          videoLastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-        });
-        console.log(`Stored thumbnail path ${filePath} for course ${courseId} at`, new Date().toISOString());
-      } else {
-        // Initialize course and section if they don't exist
-        const courseRef = admin.firestore().collection('courses').doc(courseId);
-        const sectionRef = courseRef.collection('sections').doc(sectionId);
-        
-        const courseDoc = await courseRef.get();
-        if (!courseDoc.exists) {
-          await courseRef.set({
-            totalLength: '00:00',
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
-          console.log(`Initialized course ${courseId} with totalLength: 00:00`);
-        }
-
-        const sectionDoc = await sectionRef.get();
-        if (!sectionDoc.exists) {
-          await sectionRef.set({
-            totalLength: '00:00',
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            order: 0,
-          });
-          console.log(`Initialized section ${sectionId} with totalLength: 00:00`);
-        }
-
-        // Store content
-        const contentData = {
-          title: name,
-          type,
-          backblazePath: filePath,
-          uploader,
-          uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
-          ...(order !== undefined ? { order: parseInt(order, 10) } : {}),
-          ...(type === 'video' ? { duration } : {}),
-        };
-        console.log(`Writing to Firestore: courses/${courseId}/sections/${sectionId}/contents/${contentId} with data:`, JSON.stringify(contentData, null, 2));
-        await admin.firestore()
-          .collection('courses')
-          .doc(courseId)
-          .collection('sections')
-          .doc(sectionId)
-          .collection('contents')
-          .doc(contentId)
-          .set(contentData);
-
-        // Update totalLength for section and course if video
-        if (type === 'video') {
-          sectionTotalLength = await getSectionTotalLength(courseId, sectionId);
-          try {
-            await sectionRef.update({
-              totalLength: sectionTotalLength,
-              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            });
-            console.log(`Updated section ${sectionId} totalLength to ${sectionTotalLength}`);
-          } catch (err) {
-            console.error(`Failed to update section ${sectionId} totalLength: ${err.message}`);
-            throw err;
-          }
-
-          courseTotalLength = await getCourseTotalLength(courseId);
-          try {
-            await courseRef.update({
-              totalLength: courseTotalLength,
-              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            });
-            console.log(`Updated course ${courseId} totalLength to ${courseTotalLength}`);
-          } catch (err) {
-            console.error(`Failed to update course ${courseId} totalLength to ${courseTotalLength}: ${err.message}`);
-            throw err;
-          }
-        }
-      }
-
-      const responseData = type === 'thumbnail' ? { thumbnailUrl: filePath } : { fileUrl: filePath };
-      if (type === 'video') {
-        responseData.duration = duration;
-        responseData.sectionTotalLength = sectionTotalLength;
-        responseData.courseTotalLength = courseTotalLength;
-      }
-      console.log('Sending response:', JSON.stringify(responseData));
-      res.status(200).json(responseData);
-    } catch (err) {
-      console.error('Firestore write error at', new Date().toISOString(), err.message, err.stack);
-      if (fileId) {
-        try {
-          await b2.deleteFileVersion({
-            fileName: filePath,
-            fileId: fileId,
-          });
-          console.log(`Deleted Backblaze file ${filePath} due to Firestore failure at`, new Date().toISOString());
-        } catch (cleanupErr) {
-          console.error('Failed to delete Backblaze file during cleanup at', new Date().toISOString(), cleanupErr.message, cleanupErr.stack);
-        }
-      }
-      return res.status(500).json({ error: 'Firestore write failed', details: err.message });
-    }
-  } catch (err) {
-    console.error('Upload error at', new Date().toISOString(), err.message, err.stack);
-    return res.status(500).json({ error: 'Upload failed', details: err.message });
-  }
-});
-
-// Fetch all courses
-app.get('/courses', async (req, res) => {
-  try {
-    const snapshot = await admin.firestore().collection('courses').get();
-    const courses = [];
-    for (const doc of snapshot.docs) {
-      const courseData = doc.data();
-      const sectionsSnapshot = await admin.firestore().collection('courses').doc(doc.id).collection('sections').get();
-      const sections = await Promise.all(
-        sectionsSnapshot.docs.map(async (sectionDoc) => {
-          const contentsSnapshot = await admin.firestore()
-            .collection('courses')
-            .doc(doc.id)
-            .collection('sections')
-            .doc(sectionDoc.id)
-            .collection('contents')
-            .get();
-          const contents = contentsSnapshot.docs.map((contentDoc) => ({
-            id: contentDoc.id,
-            ...contentDoc.data(),
-          }));
-          return {
-            id: sectionDoc.id,
-            ...sectionDoc.data(),
-            contents,
-          };
-        })
-      );
-      courses.push({
-        id: doc.id,
-        ...courseData,
-        sections,
-      });
-    }
-    res.json(courses);
-  } catch (error) {
-    console.error('Error fetching courses at', new Date().toISOString(), error.message, error.stack);
-    res.status(500).json({ error: 'Failed to fetch courses', details: error.message });
-  }
-});
-
-// Fetch course by ID
-app.get('/course/:id', async (req, res) => {
-  try {
-    const courseId = req.params.id;
-    const courseDoc = await admin.firestore().collection('courses').doc(courseId).get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
-    const courseData = courseDoc.data();
-    const sectionsSnapshot = await admin.firestore().collection('courses').doc(courseId).collection('sections').get();
-    const sections = await Promise.all(
-      sectionsSnapshot.docs.map(async (sectionDoc) => {
-        const contentsSnapshot = await admin.firestore()
-          .collection('courses')
-          .doc(courseId)
-          .collection('sections')
-          .doc(sectionDoc.id)
-          .collection('contents')
-          .get();
-        const contents = contentsSnapshot.docs.map((contentDoc) => ({
-          id: contentDoc.id,
-          ...contentDoc.data(),
-        }));
-        return {
-          id: sectionDoc.id,
-          ...sectionDoc.data(),
-          contents,
-        };
-      })
-    );
-    res.json({
-      id: courseId,
-      ...courseData,
-      sections,
-    });
-  } catch (error) {
-    console.error('Error fetching course at', new Date().toISOString(), error.message, error.stack);
-    res.status(500).json({ error: 'Failed to fetch course', details: error.message });
-  }
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'Server is running',
-    env: {
-      KEY_ID: !!process.env.KEY_ID,
-      APP_KEY: !!process.env.APP_KEY,
-      BUCKET_NAME: process.env.BUCKET_NAME,
-      BUCKET_ID: process.env.BUCKET_ID,
-      GOOGLE_APPLICATION_CREDENTIALS_JSON: !!process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON,
-    },
-  });
-});
+const app = createApp({ db: admin.firestore(), auth: admin.auth(), storage });
 
 const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`Running on port ${port} at`, new Date().toISOString()));
\ No newline at end of file
+app.listen(port, () => logger.info(`Running on port ${port}`));
@@ -0,0 +1,214 @@
+const admin = require('firebase-admin');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { logger, logContext } = require('./logger');
+
+// Durable background jobs stored in Firestore (jobs/{jobId}).
+// A job is eligible to run once runAt has passed: queued jobs wait for their (backoff) time, and running jobs
+// hold a lease by pushing runAt into the future, so a job whose worker died is picked up again when the lease ends.
+// Claiming needs the composite index on jobs (status, runAt).
+const JOB_DEFAULT_MAX_ATTEMPTS = 5;
+const JOB_BACKOFF_BASE_MS = 5 * 1000;
+const JOB_BACKOFF_MAX_MS = 10 * 60 * 1000;
+const JOB_LEASE_MS = 2 * 60 * 1000;
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Helper function to compute the delay before a failed job's next attempt: exponential backoff with jitter
+function getRetryDelay(attempt) {
+  const delay = Math.min(JOB_BACKOFF_MAX_MS, JOB_BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Helper function to build a job error that is not retried (bad input rather than a transient failure)
+function permanentJobError(message, { code, details } = {}) {
+  const err = new Error(message);
+  err.permanent = true;
+  if (code) err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// Helper function to describe a job document for API responses
+function describeJob(id, job) {
+  return {
+    id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    result: job.result ?? null,
+    lastError: job.lastError ?? null,
+    createdAt: job.createdAt?.toDate?.().toISOString() ?? null,
+    updatedAt: job.updatedAt?.toDate?.().toISOString() ?? null,
+    finishedAt: job.finishedAt?.toDate?.().toISOString() ?? null,
+    nextRunAt: job.status === 'queued' ? job.runAt?.toDate?.().toISOString() ?? null : null,
+  };
+}
+
+// handlers maps a job type to async (payload, context) => result. context carries
+// { jobId, attempt, maxAttempts, isLastAttempt } and the queue's enqueue for follow-up jobs.
+function createJobQueue({ db, handlers, pollIntervalMs = JOB_POLL_INTERVAL_MS, leaseMs = JOB_LEASE_MS }) {
+  const jobsRef = db.collection('jobs');
+  const workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+  let pollTimer = null;
+  let running = false;
+
+  // Create a job. Passing an id makes enqueueing idempotent: an existing job with that id is kept.
+  async function enqueue(type, payload, { id, createdBy = null, maxAttempts = JOB_DEFAULT_MAX_ATTEMPTS } = {}) {
+    if (!handlers[type]) throw new Error(`Unknown job type: ${type}`);
+    const jobRef = id ? jobsRef.doc(id) : jobsRef.doc();
+    try {
+      await jobRef.create({
+        type,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        maxAttempts,
+        createdBy,
+        runAt: admin.firestore.Timestamp.now(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`Enqueued ${type} job ${jobRef.id}`);
+    } catch (err) {
+      // 6 = ALREADY_EXISTS
+      if (!id || err.code !== 6) throw err;
+    }
+    return jobRef.id;
+  }
+
+  async function get(id) {
+    const jobDoc = await jobsRef.doc(id).get();
+    return jobDoc.exists ? jobDoc.data() : null;
+  }
+
+  // Claim the next eligible job inside a transaction so two workers never run the same attempt
+  async function claimNext() {
+    const now = admin.firestore.Timestamp.now();
+    const candidates = await jobsRef
+      .where('status', 'in', ['queued', 'running'])
+      .where('runAt', '<=', now)
+      .orderBy('runAt')
+      .limit(5)
+      .get();
+
+    for (const candidate of candidates.docs) {
+      const claimed = await db.runTransaction(async (transaction) => {
+        const jobDoc = await transaction.get(candidate.ref);
+        const job = jobDoc.data();
+        if (!jobDoc.exists || !['queued', 'running'].includes(job.status) || job.runAt.toMillis() > Date.now()) {
+          return null;
+        }
+        // A running job whose lease expired crashed its worker; that counts as a failed attempt
+        if (job.attempts >= job.maxAttempts) {
+          transaction.update(candidate.ref, {
+            status: 'failed',
+            lastError: job.lastError || { message: 'Worker lease expired' },
+            finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          return null;
+        }
+        const attempts = job.attempts + 1;
+        transaction.update(candidate.ref, {
+          status: 'running',
+          attempts,
+          workerId,
+          runAt: admin.firestore.Timestamp.fromMillis(Date.now() + leaseMs),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { id: candidate.id, ref: candidate.ref, ...job, attempts };
+      });
+      if (claimed) return claimed;
+    }
+    return null;
+  }
+
+  async function runJob(job) {
+    const context = {
+      jobId: job.id,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      isLastAttempt: job.attempts >= job.maxAttempts,
+      enqueue,
+    };
+    // Long jobs (HLS transcodes) keep extending their lease while they run
+    const heartbeat = setInterval(() => {
+      job.ref.update({ runAt: admin.firestore.Timestamp.fromMillis(Date.now() + leaseMs) })
+        .catch((err) => logger.error(`Failed to extend lease for job ${job.id}`, { error: err.message }));
+    }, Math.max(1000, leaseMs / 3));
+
+    try {
+      logger.info(`Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+      const result = await handlers[job.type](job.payload, context);
+      clearInterval(heartbeat);
+      await job.ref.update({
+        status: 'succeeded',
+        result: result ?? null,
+        finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info(`${job.type} job ${job.id} succeeded`);
+    } catch (err) {
+      clearInterval(heartbeat);
+      const lastError = {
+        message: err.message,
+        ...(err.code ? { code: err.code } : {}),
+        ...(err.details ? { details: err.details } : {}),
+      };
+      if (err.permanent || context.isLastAttempt) {
+        logger.error(`${job.type} job ${job.id} failed permanently`, { err });
+        await job.ref.update({
+          status: 'failed',
+          lastError,
+          finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      } else {
+        const delay = getRetryDelay(job.attempts);
+        logger.error(`${job.type} job ${job.id} failed, retrying in ${delay}ms`, { error: err.message });
+        await job.ref.update({
+          status: 'queued',
+          lastError,
+          runAt: admin.firestore.Timestamp.fromMillis(Date.now() + delay),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+    }
+  }
+
+  // Claim and run a single job; resolves with its id, or null when nothing is due.
+  // Everything the job logs carries its id and type.
+  async function runNext() {
+    const job = await claimNext();
+    if (!job) return null;
+    await logContext.run({ jobId: job.id, jobType: job.type }, () => runJob(job));
+    return job.id;
+  }
+
+  // Jobs are CPU-bound (ffmpeg), so each worker runs one at a time and polls while idle
+  function start() {
+    if (running) return;
+    running = true;
+    const poll = async () => {
+      let ranJob = false;
+      try {
+        ranJob = !!(await runNext());
+      } catch (err) {
+        logger.error('Job worker poll failed', { error: err.message });
+      }
+      if (running) pollTimer = setTimeout(poll, ranJob ? 0 : pollIntervalMs);
+    };
+    pollTimer = setTimeout(poll, 0);
+    logger.info(`Job worker ${workerId} started`);
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(pollTimer);
+  }
+
+  return { enqueue, get, runNext, start, stop };
+}
+
+module.exports = { createJobQueue, permanentJobError, describeJob };
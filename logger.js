@@ -0,0 +1,80 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Structured JSON logger. Each entry is one line on stdout (stderr for errors) carrying the fields of the
+// current request or job context, so every log line of a request shares its requestId.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// Context ({ requestId } or { jobId, jobType }) set by the request middleware and the job worker
+const logContext = new AsyncLocalStorage();
+
+// Tokens and credentials never reach the logs: fields with these names are replaced outright, and
+// bearer tokens and signed-URL parameters are masked inside any string
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY_PATTERN = /authorization|token|secret|password|private_?key|credential|app_?key|cookie|signature/i;
+const SENSITIVE_VALUE_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/([?&](?:Authorization|token|X-Amz-Signature|X-Amz-Credential|X-Amz-Security-Token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/("private_key"\s*:\s*")[^"]*/g, `$1${REDACTED}`],
+];
+const MAX_DEPTH = 6;
+
+// Helper function to mask tokens inside a string
+function redactString(value) {
+  return SENSITIVE_VALUE_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+// Helper function to turn an Error into plain fields (message, code, details, stack, cause)
+function serializeError(err) {
+  return {
+    message: redactString(String(err.message)),
+    ...(err.code !== undefined ? { code: err.code } : {}),
+    ...(err.details !== undefined ? { details: redact(err.details) } : {}),
+    ...(err.stack ? { stack: redactString(err.stack) } : {}),
+    ...(err.cause instanceof Error ? { cause: serializeError(err.cause) } : {}),
+  };
+}
+
+// Helper function to copy a value with sensitive fields and tokens masked
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY_PATTERN.test(key) && item ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+function write(level, message, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message: redactString(String(message)),
+    ...logContext.getStore(),
+    ...(fields ? redact(fields) : {}),
+  };
+  (level === 'error' ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+}
+
+// logger.<level>(message, fields?). An Error under fields.err is logged with its stack.
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+// Body parsers (express.json, express.raw, multer) call next from request stream events, which run outside
+// the request's context; wrap them so the rest of the chain keeps its requestId
+function withLogContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+module.exports = { logger, logContext, redact, withLogContext };
@@ -0,0 +1,152 @@
+const client = require('prom-client');
+
+// Prometheus metrics served on /metrics. Metrics are module-level so every app in the process shares one registry.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const uploadsTotal = new client.Counter({
+  name: 'uploads_total',
+  help: 'Uploads by type and outcome (accepted, rejected, failed)',
+  labelNames: ['type', 'outcome'],
+  registers: [register],
+});
+
+const uploadBytesTotal = new client.Counter({
+  name: 'upload_bytes_total',
+  help: 'Bytes of accepted uploads by type',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+const ffprobeDuration = new client.Histogram({
+  name: 'ffprobe_duration_seconds',
+  help: 'ffprobe latency by outcome',
+  labelNames: ['outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const storageOperationDuration = new client.Histogram({
+  name: 'storage_operation_duration_seconds',
+  help: 'Storage driver call latency',
+  labelNames: ['driver', 'operation'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const storageErrorsTotal = new client.Counter({
+  name: 'storage_errors_total',
+  help: 'Failed storage driver calls',
+  labelNames: ['driver', 'operation'],
+  registers: [register],
+});
+
+const firestoreOperationsTotal = new client.Counter({
+  name: 'firestore_operations_total',
+  help: 'Firestore calls by operation',
+  labelNames: ['operation'],
+  registers: [register],
+});
+
+const firestoreErrorsTotal = new client.Counter({
+  name: 'firestore_errors_total',
+  help: 'Failed Firestore calls by operation and gRPC status code',
+  labelNames: ['operation', 'code'],
+  registers: [register],
+});
+
+const rateLimitedTotal = new client.Counter({
+  name: 'rate_limited_requests_total',
+  help: 'Requests refused by a rate limit, by route and scope (ip or uid)',
+  labelNames: ['route', 'scope'],
+  registers: [register],
+});
+
+const circuitBreakerOpen = new client.Gauge({
+  name: 'circuit_breaker_open',
+  help: 'Whether the circuit breaker for a dependency is open (1) or closed (0)',
+  labelNames: ['dependency'],
+  registers: [register],
+});
+
+// Helper function to count a finished upload request from its response status
+function recordUpload(type, statusCode, bytes) {
+  const outcome = statusCode < 300 ? 'accepted' : statusCode < 500 ? 'rejected' : 'failed';
+  uploadsTotal.inc({ type: type || 'unknown', outcome });
+  if (outcome === 'accepted' && bytes) uploadBytesTotal.inc({ type }, bytes);
+}
+
+// Storage driver methods that call out to the backend
+const STORAGE_OPERATIONS = [
+  'initialize', 'ping', 'put', 'list', 'delete', 'deletePrefix', 'getSignedReadUrl', 'download', 'downloadBuffer',
+  'startMultipart', 'uploadPart', 'completeMultipart', 'abortMultipart',
+];
+
+// Wrap a storage driver so each call is timed and failures are counted per driver and operation.
+// A Proxy keeps every other property (name, router, ...) and the driver's own `this`.
+function instrumentStorage(storage) {
+  return new Proxy(storage, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop);
+      if (!STORAGE_OPERATIONS.includes(prop) || typeof value !== 'function') return value;
+      return async (...args) => {
+        const labels = { driver: target.name, operation: prop };
+        const endTimer = storageOperationDuration.startTimer(labels);
+        try {
+          return await value.apply(target, args);
+        } catch (err) {
+          storageErrorsTotal.inc(labels);
+          throw err;
+        } finally {
+          endTimer();
+        }
+      };
+    },
+  });
+}
+
+// Firestore objects whose methods are followed when instrumenting (references, queries and batches)
+const FIRESTORE_CHAINABLE = new Set(['CollectionReference', 'DocumentReference', 'Query', 'CollectionGroup', 'WriteBatch', 'AggregateQuery']);
+
+// Wrap a Firestore instance so every call that returns a promise (get, set, update, commit, runTransaction, ...)
+// is counted, with failures labelled by gRPC status code. References, queries and batches it hands out are
+// wrapped the same way.
+function instrumentFirestore(db) {
+  const wrap = (target) => new Proxy(target, {
+    get(obj, prop) {
+      const value = Reflect.get(obj, prop);
+      if (typeof value !== 'function' || prop === 'constructor') return value;
+      return (...args) => {
+        const result = value.apply(obj, args);
+        if (result && typeof result.then === 'function') {
+          firestoreOperationsTotal.inc({ operation: prop });
+          return result.catch((err) => {
+            firestoreErrorsTotal.inc({ operation: prop, code: String(err.code ?? 'unknown') });
+            throw err;
+          });
+        }
+        return result && FIRESTORE_CHAINABLE.has(result.constructor?.name) ? wrap(result) : result;
+      };
+    },
+  });
+  return wrap(db);
+}
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  ffprobeDuration,
+  circuitBreakerOpen,
+  rateLimitedTotal,
+  recordUpload,
+  instrumentStorage,
+  instrumentFirestore,
+};
@@ -0,0 +1,61 @@
+const { logger } = require('./logger');
+const { rateLimitedTotal } = require('./metrics');
+
+// Fixed-window request counters. They live in memory, so each instance enforces the limits on its own.
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+  let nextSweepAt = Date.now() + windowMs;
+
+  // Count a request for key, resolving whether it is within the limit and when the window resets
+  function hit(key) {
+    const now = Date.now();
+    // Drop finished windows now and then so idle keys do not pile up
+    if (now >= nextSweepAt) {
+      for (const [windowKey, window] of windows) {
+        if (window.resetAt <= now) windows.delete(windowKey);
+      }
+      nextSweepAt = now + windowMs;
+    }
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= max,
+      retryAfter: Math.max(1, Math.ceil((window.resetAt - now) / 1000)),
+    };
+  }
+
+  return { hit };
+}
+
+// Middleware limiting a route per client IP and per authenticated uid (req.user, so it goes after the auth
+// middleware). A limit of 0 turns that check off. Refused requests get a 429 with Retry-After.
+function rateLimit(route, { windowMs, perIp, perUid }) {
+  const limiters = [
+    perIp > 0 && { scope: 'ip', max: perIp, limiter: createRateLimiter({ windowMs, max: perIp }), key: (req) => req.ip },
+    perUid > 0 && { scope: 'uid', max: perUid, limiter: createRateLimiter({ windowMs, max: perUid }), key: (req) => req.user?.uid },
+  ].filter(Boolean);
+
+  return (req, res, next) => {
+    for (const { scope, max, limiter, key } of limiters) {
+      const value = key(req);
+      if (!value) continue;
+      const { allowed, retryAfter } = limiter.hit(value);
+      if (!allowed) {
+        rateLimitedTotal.inc({ route, scope });
+        logger.warn(`Rate limit exceeded on ${route}`, { scope, ip: req.ip, uid: req.user?.uid });
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Too many requests',
+          details: `At most ${max} requests per ${Math.round(windowMs / 1000)}s per ${scope}, retry in ${retryAfter}s`,
+        });
+      }
+    }
+    next();
+  };
+}
+
+module.exports = { createRateLimiter, rateLimit };
@@ -0,0 +1,213 @@
+const BackblazeB2 = require('backblaze-b2');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { logger } = require('../logger');
+
+// Account authorizations last 24 hours; they are reused and renewed well before they expire
+const B2_AUTH_REFRESH_MS = parseInt(process.env.B2_AUTH_REFRESH_MS, 10) || 20 * 60 * 60 * 1000;
+// Socket idle timeout, so a hung B2 call fails (and counts towards the circuit breaker) instead of hanging the request
+const B2_REQUEST_TIMEOUT_MS = parseInt(process.env.B2_REQUEST_TIMEOUT_MS, 10) || 60000;
+
+// Backblaze B2 storage driver (native B2 API)
+function createB2Storage({ keyId, appKey, bucketId, bucketName }) {
+  // Retries are left to the app's retry/circuit-breaker layer, so the client's own are turned off
+  const b2 = new BackblazeB2({
+    applicationKeyId: keyId,
+    applicationKey: appKey,
+    axios: { timeout: B2_REQUEST_TIMEOUT_MS },
+    retry: { retries: 0 },
+  });
+  let authorizedAt = 0;
+  let downloadUrl = null;
+  let authorizing = null;
+
+  // Helper function to authorize the account; concurrent callers share one request
+  function authorize() {
+    if (!authorizing) {
+      authorizing = b2.authorize()
+        .then((response) => {
+          authorizedAt = Date.now();
+          downloadUrl = response.data.downloadUrl;
+          logger.info('B2 authorized');
+        })
+        .finally(() => {
+          authorizing = null;
+        });
+    }
+    return authorizing;
+  }
+
+  // Initialize Backblaze B2
+  async function initialize() {
+    try {
+      await authorize();
+      logger.info('B2 initialized and authorized');
+    } catch (err) {
+      logger.error('B2 initialization failed', { error: err.message });
+      throw err;
+    }
+  }
+
+  async function getClient() {
+    if (Date.now() - authorizedAt >= B2_AUTH_REFRESH_MS) await authorize();
+    return b2;
+  }
+
+  // Helper function to make B2 calls with the cached authorization. A 401 (token expired or revoked early)
+  // re-authorizes once and repeats the call.
+  async function withClient(fn) {
+    try {
+      return await fn(await getClient());
+    } catch (err) {
+      if (err.response?.status !== 401) throw err;
+      logger.warn('B2 authorization rejected, re-authorizing', { error: err.response.data?.code });
+      authorizedAt = 0;
+      return fn(await getClient());
+    }
+  }
+
+  // The upload URL is fetched inside the call, so a repeated call also gets a fresh one
+  async function put(key, data, { contentType } = {}) {
+    const uploadResponse = await withClient(async (client) => {
+      const uploadUrlResponse = await client.getUploadUrl({ bucketId });
+      return client.uploadFile({
+        uploadUrl: uploadUrlResponse.data.uploadUrl,
+        uploadAuthToken: uploadUrlResponse.data.authorizationToken,
+        fileName: key,
+        data,
+        ...(contentType ? { mime: contentType } : {}),
+      });
+    });
+    return { fileId: uploadResponse.data.fileId };
+  }
+
+  async function list(prefix) {
+    const files = [];
+    let startFileName = null;
+    do {
+      const response = await withClient((client) => client.listFileNames({ bucketId, prefix, startFileName, maxFileCount: 1000 }));
+      for (const file of response.data.files) {
+        files.push({
+          key: file.fileName,
+          fileId: file.fileId,
+          size: file.contentLength,
+          uploadedAt: new Date(file.uploadTimestamp),
+        });
+      }
+      startFileName = response.data.nextFileName;
+    } while (startFileName);
+    return files;
+  }
+
+  // Checks the credentials and bucket access with the smallest listing
+  async function ping() {
+    await withClient((client) => client.listFileNames({ bucketId, maxFileCount: 1 }));
+  }
+
+  function deleteVersion(fileName, fileId) {
+    return withClient((client) => client.deleteFileVersion({ fileName, fileId }));
+  }
+
+  // Deletes a single file; without a fileId the current version is looked up by name
+  async function remove(key, { fileId } = {}) {
+    if (fileId) {
+      await deleteVersion(key, fileId);
+      return 1;
+    }
+    const matches = (await list(key)).filter((file) => file.key === key);
+    for (const file of matches) {
+      await deleteVersion(file.key, file.fileId);
+    }
+    return matches.length;
+  }
+
+  async function removePrefix(prefix) {
+    const files = await list(prefix);
+    for (const file of files) {
+      await deleteVersion(file.key, file.fileId);
+    }
+    return files.length;
+  }
+
+  // B2 download authorizations are prefix-based, so one token can cover a whole directory
+  async function getSignedReadUrl(key, { expiresIn = 3600, prefix = key } = {}) {
+    const response = await withClient((client) => client.getDownloadAuthorization({
+      bucketId,
+      fileNamePrefix: prefix,
+      validDurationInSeconds: expiresIn,
+    }));
+    const baseUrl = response.data.downloadUrl || downloadUrl || `https://f000.backblazeb2.com`;
+    const authorizationToken = response.data.authorizationToken;
+    return {
+      url: `${baseUrl}/file/${bucketName}/${key}?Authorization=${authorizationToken}`,
+      authorizationToken,
+    };
+  }
+
+  function openDownload(key, responseType) {
+    return withClient((client) => client.downloadFileByName({ bucketName, fileName: key, responseType }));
+  }
+
+  async function download(key, localPath) {
+    const response = await openDownload(key, 'stream');
+    await pipeline(response.data, fs.createWriteStream(localPath));
+  }
+
+  async function downloadBuffer(key) {
+    const response = await openDownload(key, 'arraybuffer');
+    return Buffer.from(response.data);
+  }
+
+  // Multipart uploads map onto the B2 large-file API; uploadId is the large file's fileId
+  async function startMultipart(key, { contentType } = {}) {
+    const response = await withClient((client) => client.startLargeFile({
+      bucketId,
+      fileName: key,
+      ...(contentType ? { contentType } : {}),
+    }));
+    return { uploadId: response.data.fileId };
+  }
+
+  async function uploadPart(uploadId, key, partNumber, data, { sha1 } = {}) {
+    const response = await withClient(async (client) => {
+      const partUrlResponse = await client.getUploadPartUrl({ fileId: uploadId });
+      return client.uploadPart({
+        partNumber,
+        uploadUrl: partUrlResponse.data.uploadUrl,
+        uploadAuthToken: partUrlResponse.data.authorizationToken,
+        data,
+        ...(sha1 ? { hash: sha1 } : {}),
+      });
+    });
+    return { etag: response.data.contentSha1 };
+  }
+
+  async function completeMultipart(uploadId, key, parts) {
+    await withClient((client) => client.finishLargeFile({ fileId: uploadId, partSha1Array: parts.map((part) => part.sha1) }));
+    return { fileId: uploadId };
+  }
+
+  async function abortMultipart(uploadId) {
+    await withClient((client) => client.cancelLargeFile({ fileId: uploadId }));
+  }
+
+  return {
+    name: 'b2',
+    initialize,
+    ping,
+    put,
+    list,
+    delete: remove,
+    deletePrefix: removePrefix,
+    getSignedReadUrl,
+    supportsPrefixUrls: true,
+    download,
+    downloadBuffer,
+    startMultipart,
+    uploadPart,
+    completeMultipart,
+    abortMultipart,
+  };
+}
+
+module.exports = { createB2Storage };
@@ -0,0 +1,48 @@
+// Storage backends share one interface:
+//   initialize() / ping() -> checks the backend is reachable with the configured credentials
+//   put(key, data, { contentType }) -> { fileId }
+//   delete(key, { fileId }) / deletePrefix(prefix) -> number of files removed
+//   list(prefix) -> [{ key, fileId, size, uploadedAt }]
+//   getSignedReadUrl(key, { expiresIn, prefix }) -> { url, authorizationToken }
+//   supportsPrefixUrls -> whether a signed URL's token also covers every file under `prefix`. HLS ladders and
+//     seek-preview sprites need it (their playlists point at sibling files), so they are skipped without it.
+//   download(key, localPath) / downloadBuffer(key)
+//   startMultipart(key) -> { uploadId }, uploadPart(uploadId, key, partNumber, data, { sha1 }) -> { etag },
+//   completeMultipart(uploadId, key, [{ partNumber, sha1, etag }]) -> { fileId }, abortMultipart(uploadId, key)
+// Drivers that serve files themselves also expose an Express `router`.
+const { createB2Storage } = require('./b2');
+const { createLocalStorage } = require('./local');
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'b2') {
+  switch (driver) {
+    case 'b2':
+      return createB2Storage({
+        keyId: process.env.KEY_ID,
+        appKey: process.env.APP_KEY,
+        bucketId: process.env.BUCKET_ID,
+        bucketName: process.env.BUCKET_NAME,
+      });
+    case 'local':
+      return createLocalStorage({
+        rootDir: process.env.LOCAL_STORAGE_DIR || './data/storage',
+        baseUrl: process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+        secret: process.env.LOCAL_STORAGE_SECRET,
+      });
+    case 's3': {
+      // Loaded lazily so the AWS SDK is only required when the driver is used
+      const { createS3Storage } = require('./s3');
+      return createS3Storage({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = { createStorage };
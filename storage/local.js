@@ -0,0 +1,216 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../logger');
+
+const MULTIPART_DIR = '.multipart';
+
+// Local-disk storage driver; files are served by the driver's own router with HMAC-signed URLs
+function createLocalStorage({ rootDir, baseUrl, secret }) {
+  const root = path.resolve(rootDir);
+
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('LOCAL_STORAGE_SECRET not set, signed URLs will not survive a restart');
+  }
+
+  // Helper function to map a storage key onto a path inside the root directory
+  function resolveKey(key) {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  }
+
+  function multipartDir(uploadId) {
+    if (!/^[0-9a-f-]{36}$/.test(uploadId)) throw new Error(`Invalid upload id: ${uploadId}`);
+    return path.join(root, MULTIPART_DIR, uploadId);
+  }
+
+  // Token format: <expiresAt>.<hmac(prefix + expiresAt)>, prefix base64url-encoded in front
+  function signPrefix(prefix, expiresAt) {
+    return crypto.createHmac('sha256', secret).update(`${prefix}\n${expiresAt}`).digest('base64url');
+  }
+
+  function createToken(prefix, expiresIn) {
+    const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${Buffer.from(prefix).toString('base64url')}.${expiresAt}.${signPrefix(prefix, expiresAt)}`;
+  }
+
+  // Helper function to normalize a requested key, rejecting empty, '.' and '..' segments so a token
+  // for one prefix can't be stretched to files outside it. Returns null for a rejected key.
+  function normalizeKey(key) {
+    const normalized = path.posix.normalize(key);
+    const segments = key.split('/');
+    if (normalized !== key || segments.some((segment) => ['', '.', '..'].includes(segment))) return null;
+    return normalized;
+  }
+
+  function verifyToken(token, key) {
+    const [encodedPrefix, expiresAt, signature] = String(token || '').split('.');
+    if (!encodedPrefix || !expiresAt || !signature) return false;
+    const prefix = Buffer.from(encodedPrefix, 'base64url').toString();
+    if (Number(expiresAt) < Date.now() / 1000 || !key.startsWith(prefix)) return false;
+    const expected = Buffer.from(signPrefix(prefix, expiresAt));
+    const provided = Buffer.from(signature);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  async function put(key, data) {
+    const filePath = resolveKey(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, data);
+    return { fileId: key };
+  }
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entryPath === path.join(root, MULTIPART_DIR)) continue;
+        files.push(...await walk(entryPath));
+      } else {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  async function list(prefix) {
+    // Only walk the deepest directory the prefix fully names
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const files = [];
+    for (const filePath of await walk(prefixDir ? resolveKey(prefixDir) : root)) {
+      const key = path.relative(root, filePath).split(path.sep).join('/');
+      if (!key.startsWith(prefix)) continue;
+      const stats = await fsp.stat(filePath);
+      files.push({ key, fileId: key, size: stats.size, uploadedAt: stats.mtime });
+    }
+    return files.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  // Checks the root directory exists and is writable
+  async function ping() {
+    await fsp.mkdir(root, { recursive: true });
+    await fsp.access(root, fs.constants.W_OK);
+  }
+
+  async function remove(key) {
+    try {
+      await fsp.unlink(resolveKey(key));
+      return 1;
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+  }
+
+  async function removePrefix(prefix) {
+    const files = await list(prefix);
+    for (const file of files) {
+      await remove(file.key);
+    }
+    return files.length;
+  }
+
+  async function getSignedReadUrl(key, { expiresIn = 3600, prefix = key } = {}) {
+    const authorizationToken = createToken(prefix, expiresIn);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return {
+      url: `${baseUrl}/storage/${encodedKey}?token=${encodeURIComponent(authorizationToken)}`,
+      authorizationToken,
+    };
+  }
+
+  async function download(key, localPath) {
+    await pipeline(fs.createReadStream(resolveKey(key)), fs.createWriteStream(localPath));
+  }
+
+  async function downloadBuffer(key) {
+    return fsp.readFile(resolveKey(key));
+  }
+
+  async function startMultipart() {
+    const uploadId = uuidv4();
+    await fsp.mkdir(multipartDir(uploadId), { recursive: true });
+    return { uploadId };
+  }
+
+  async function uploadPart(uploadId, key, partNumber, data) {
+    await fsp.writeFile(path.join(multipartDir(uploadId), String(partNumber)), data);
+    return { etag: crypto.createHash('md5').update(data).digest('hex') };
+  }
+
+  async function completeMultipart(uploadId, key, parts) {
+    const dir = multipartDir(uploadId);
+    const filePath = resolveKey(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    const output = fs.createWriteStream(filePath);
+    try {
+      for (const part of parts) {
+        await pipeline(fs.createReadStream(path.join(dir, String(part.partNumber))), output, { end: false });
+      }
+    } finally {
+      output.end();
+    }
+    await new Promise((resolve, reject) => output.on('close', resolve).on('error', reject));
+    await fsp.rm(dir, { recursive: true, force: true });
+    return { fileId: key };
+  }
+
+  async function abortMultipart(uploadId) {
+    await fsp.rm(multipartDir(uploadId), { recursive: true, force: true });
+  }
+
+  // Serves stored files; the token may be passed as ?token= or as the Authorization header
+  const router = express.Router();
+  router.get('/*key', async (req, res) => {
+    const key = normalizeKey(req.params.key.join('/'));
+    const token = req.query.token || req.get('Authorization');
+    if (!key || !verifyToken(token, key)) {
+      return res.status(403).json({ error: 'Invalid or expired storage token' });
+    }
+    let filePath;
+    try {
+      filePath = resolveKey(key);
+      await fsp.access(filePath);
+    } catch (err) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.sendFile(filePath);
+  });
+
+  return {
+    name: 'local',
+    initialize: async () => fsp.mkdir(root, { recursive: true }),
+    ping,
+    put,
+    list,
+    delete: remove,
+    deletePrefix: removePrefix,
+    getSignedReadUrl,
+    supportsPrefixUrls: true,
+    download,
+    downloadBuffer,
+    startMultipart,
+    uploadPart,
+    completeMultipart,
+    abortMultipart,
+    router,
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,176 @@
+const {
+  S3Client,
+  HeadBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  ListObjectVersionsCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// Generic S3-compatible storage driver (AWS S3, B2's S3 endpoint, MinIO, R2, ...)
+function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) {
+  // maxAttempts 1: retries are left to the app's retry/circuit-breaker layer
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    maxAttempts: 1,
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle: !!forcePathStyle,
+    ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+  });
+
+  async function put(key, data, { contentType } = {}) {
+    const response = await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: data,
+      ...(contentType ? { ContentType: contentType } : {}),
+    }));
+    return { fileId: response.VersionId || key };
+  }
+
+  async function list(prefix) {
+    const files = [];
+    let ContinuationToken;
+    do {
+      const response = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+      for (const object of response.Contents || []) {
+        files.push({ key: object.Key, fileId: object.Key, size: object.Size, uploadedAt: object.LastModified });
+      }
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return files;
+  }
+
+  // Checks the credentials and bucket access
+  async function ping() {
+    await client.send(new HeadBucketCommand({ Bucket: bucket }));
+  }
+
+  // fileId is the VersionId put returned on a versioned bucket; without it the delete only adds a delete marker
+  async function remove(key, { fileId } = {}) {
+    const versionId = fileId && fileId !== key ? fileId : undefined;
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key, ...(versionId ? { VersionId: versionId } : {}) }));
+    return 1;
+  }
+
+  // Every version and delete marker under prefix. Unversioned buckets list one version per key (VersionId "null");
+  // providers without version listing fall back to the plain keys, which are all there is to delete there.
+  async function listVersions(prefix) {
+    const versions = [];
+    let KeyMarker;
+    let VersionIdMarker;
+    try {
+      do {
+        const response = await client.send(new ListObjectVersionsCommand({ Bucket: bucket, Prefix: prefix, KeyMarker, VersionIdMarker }));
+        for (const version of response.Versions || []) {
+          versions.push({ Key: version.Key, VersionId: version.VersionId });
+        }
+        for (const marker of response.DeleteMarkers || []) {
+          versions.push({ Key: marker.Key, VersionId: marker.VersionId, deleteMarker: true });
+        }
+        KeyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        VersionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+      } while (KeyMarker);
+    } catch (err) {
+      if (err.name !== 'NotImplemented') throw err;
+      return (await list(prefix)).map((file) => ({ Key: file.key }));
+    }
+    return versions;
+  }
+
+  // Deletes each version by VersionId: on a versioned bucket a bare-key delete only adds a delete marker
+  async function removePrefix(prefix) {
+    const versions = await listVersions(prefix);
+    // DeleteObjects accepts at most 1000 keys per request
+    for (let i = 0; i < versions.length; i += 1000) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: {
+          Objects: versions.slice(i, i + 1000).map(({ Key, VersionId }) => ({ Key, ...(VersionId ? { VersionId } : {}) })),
+          Quiet: true,
+        },
+      }));
+    }
+    return new Set(versions.filter((version) => !version.deleteMarker).map((version) => version.Key)).size;
+  }
+
+  // S3 presigned URLs cover a single object, so a prefix grant is not possible here;
+  // callers check supportsPrefixUrls before relying on authorizationToken.
+  async function getSignedReadUrl(key, { expiresIn = 3600 } = {}) {
+    const url = await getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    return { url, authorizationToken: null };
+  }
+
+  async function download(key, localPath) {
+    const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    await pipeline(response.Body, fs.createWriteStream(localPath));
+  }
+
+  async function downloadBuffer(key) {
+    const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async function startMultipart(key, { contentType } = {}) {
+    const response = await client.send(new CreateMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      ...(contentType ? { ContentType: contentType } : {}),
+    }));
+    return { uploadId: response.UploadId };
+  }
+
+  async function uploadPart(uploadId, key, partNumber, data) {
+    const response = await client.send(new UploadPartCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: data,
+    }));
+    return { etag: response.ETag };
+  }
+
+  async function completeMultipart(uploadId, key, parts) {
+    const response = await client.send(new CompleteMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: parts.map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })) },
+    }));
+    return { fileId: response.VersionId || key };
+  }
+
+  async function abortMultipart(uploadId, key) {
+    await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+  }
+
+  return {
+    name: 's3',
+    initialize: async () => {},
+    ping,
+    put,
+    list,
+    delete: remove,
+    deletePrefix: removePrefix,
+    getSignedReadUrl,
+    supportsPrefixUrls: false,
+    download,
+    downloadBuffer,
+    startMultipart,
+    uploadPart,
+    completeMultipart,
+    abortMultipart,
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCircuitBreaker, withRetry } = require('../breaker');
+
+const unavailable = () => Object.assign(new Error('14 UNAVAILABLE: no connection'), { code: 14 });
+const notFound = () => Object.assign(new Error('5 NOT_FOUND'), { code: 5 });
+
+test('the breaker opens after repeated outages and closes after a successful trial', async () => {
+  const breaker = createCircuitBreaker('firestore', { failureThreshold: 2, resetMs: 50 });
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw unavailable();
+  };
+
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(breaker.run(failing), { code: 'DEPENDENCY_UNAVAILABLE', dependency: 'firestore' });
+  }
+  assert.equal(breaker.getState(), 'open');
+
+  // Open: rejected without calling through
+  await assert.rejects(breaker.run(failing), (err) => err.code === 'DEPENDENCY_UNAVAILABLE' && err.retryAfter >= 1);
+  assert.equal(calls, 2);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(breaker.getState(), 'half-open');
+  assert.equal(await breaker.run(async () => 'ok'), 'ok');
+  assert.equal(breaker.getState(), 'closed');
+});
+
+test('errors the service answered with do not trip the breaker', async () => {
+  const breaker = createCircuitBreaker('firestore', { failureThreshold: 1, resetMs: 1000 });
+  await assert.rejects(breaker.run(async () => { throw notFound(); }), { code: 5 });
+  assert.equal(breaker.getState(), 'closed');
+});
+
+test('transient failures are retried, others are not', async () => {
+  let attempts = 0;
+  const result = await withRetry(async () => {
+    attempts++;
+    if (attempts < 3) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    return 'stored';
+  }, { baseMs: 1 });
+  assert.equal(result, 'stored');
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(withRetry(async () => {
+    attempts++;
+    throw Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+  }, { baseMs: 1 }));
+  assert.equal(attempts, 1);
+});
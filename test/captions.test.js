@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateUploadBuffer } = require('../app');
+
+const validateCaptions = (text) => validateUploadBuffer('caption', null, Buffer.from(text, 'utf8'));
+
+test('SRT captions are converted to WebVTT in start order', async () => {
+  const srt = [
+    '2',
+    '00:00:03,500 --> 00:00:05,000',
+    '<font color="#ff0">Second</font> {\\an8}line',
+    '',
+    '1',
+    '00:00:01,000 --> 00:00:02,250',
+    'First',
+    'two lines',
+    '',
+  ].join('\r\n');
+  const result = await validateCaptions(srt);
+  assert.equal(result.error, undefined);
+  assert.equal(result.sourceFormat, 'srt');
+  assert.equal(result.cueCount, 2);
+  assert.equal(result.lastCueEnd, 5);
+  assert.equal(
+    result.vtt,
+    'WEBVTT\n\n00:00:01.000 --> 00:00:02.250\nFirst\ntwo lines\n\n00:00:03.500 --> 00:00:05.000\nSecond line\n',
+  );
+});
+
+test('WebVTT captions are kept as uploaded, skipping NOTE and STYLE blocks', async () => {
+  const vtt = 'WEBVTT - lecture 1\n\nNOTE checked by editor\n\nSTYLE\n::cue { color: yellow }\n\nintro\n01:05.000 --> 01:07.000 align:start\nHello\n';
+  const result = await validateCaptions(vtt);
+  assert.equal(result.error, undefined);
+  assert.equal(result.sourceFormat, 'vtt');
+  assert.equal(result.cueCount, 1);
+  assert.equal(result.lastCueEnd, 67);
+  assert.equal(result.vtt, vtt);
+});
+
+test('caption files with bad timing or no cues are rejected', async () => {
+  const backwards = await validateCaptions('WEBVTT\n\n00:00:05.000 --> 00:00:04.000\nOops\n');
+  assert.equal(backwards.code, 'CAPTION_INVALID_TIMESTAMP');
+
+  const malformed = await validateCaptions('1\n00:00:01,000 --> 00:00:02,000\nOk\n\n2\n00:00:03 --> 00:00:04,000\nBad\n');
+  assert.equal(malformed.code, 'CAPTION_INVALID_TIMESTAMP');
+
+  const empty = await validateCaptions('WEBVTT\n\nNOTE nothing here\n');
+  assert.equal(empty.code, 'CAPTION_NO_CUES');
+
+  const notCaptions = await validateCaptions('just some text that is long enough');
+  assert.equal(notCaptions.code, 'CONTENT_TYPE_MISMATCH');
+});
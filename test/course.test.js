@@ -0,0 +1,111 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutEmulator,
+  getTestFirestore,
+  clearFirestore,
+  createFakeStorage,
+  startServer,
+} = require('./helpers');
+
+describe('GET /course/:id', { skip: skipWithoutEmulator }, () => {
+  let db;
+  let server;
+
+  before(async () => {
+    db = getTestFirestore();
+    server = await startServer({ db, storage: createFakeStorage() });
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  test('returns 404 for a course that does not exist', async () => {
+    const response = await fetch(`${server.baseUrl}/course/missing`);
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'Course not found' });
+  });
+
+  test('returns 404 for a missing course even with include=sections', async () => {
+    const response = await fetch(`${server.baseUrl}/course/missing?include=sections`);
+    assert.equal(response.status, 404);
+  });
+
+  test('returns the course tree with storage paths hidden from anonymous callers', async () => {
+    await db.doc('courses/course-1').set({ title: 'Course', uploader: 'instructor-1' });
+    await db.doc('courses/course-1/sections/s1').set({ title: 'Intro', order: 0 });
+    await db.doc('courses/course-1/sections/s1/contents/c1').set({ title: 'Notes', type: 'pdf', backblazePath: 'pdfs/pdf_1.pdf' });
+
+    const response = await fetch(`${server.baseUrl}/course/course-1`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.title, 'Course');
+    assert.equal(body.sections[0].contents[0].title, 'Notes');
+    assert.equal(body.sections[0].contents[0].backblazePath, undefined);
+  });
+});
+
+describe('course management routes', { skip: skipWithoutEmulator }, () => {
+  let db;
+  let server;
+
+  before(async () => {
+    db = getTestFirestore();
+    server = await startServer({ db, storage: createFakeStorage() });
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await db.doc('courses/course-1').set({ title: 'Course', uploader: 'instructor-1' });
+    await db.doc('courses/course-1/sections/s1').set({ title: 'Intro', order: 0 });
+    await db.doc('courses/course-1/sections/s1/contents/c1').set({ title: 'Notes', type: 'pdf', backblazePath: 'pdfs/pdf_1.pdf' });
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  test('requests without a body get a 400', async () => {
+    const routes = [
+      ['PATCH', '/course/course-1'],
+      ['PATCH', '/course/course-1/sections/s1'],
+      ['PATCH', '/course/course-1/sections/s1/contents/c1'],
+      ['POST', '/course/course-1/reorder'],
+    ];
+    for (const [method, path] of routes) {
+      const response = await fetch(`${server.baseUrl}${path}`, { method, headers: { Authorization: 'Bearer instructor:instructor-1' } });
+      assert.equal(response.status, 400, `${method} ${path}`);
+      assert.ok((await response.json()).error);
+    }
+  });
+});
+
+describe('GET /courses', { skip: skipWithoutEmulator }, () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ db: getTestFirestore(), storage: createFakeStorage() });
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  test('rejects cursors that are not course ids', async () => {
+    const encode = (id) => Buffer.from(id, 'utf8').toString('base64url');
+    for (const cursor of ['', encode('a/b'), encode('..'), encode('missing')]) {
+      const response = await fetch(`${server.baseUrl}/courses?cursor=${cursor}`);
+      assert.equal(response.status, 400, cursor);
+      assert.deepEqual(await response.json(), { error: 'Invalid cursor' });
+    }
+  });
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDurationToSeconds,
+  formatSecondsToDuration,
+  getContentSeconds,
+  getTotalSeconds,
+} = require('../app');
+
+test('parseDurationToSeconds reads mm:ss, hh:mm:ss and "Xhr Ymin" strings', () => {
+  assert.equal(parseDurationToSeconds('02:05'), 125);
+  assert.equal(parseDurationToSeconds('01:02:03'), 3723);
+  assert.equal(parseDurationToSeconds('45min'), 2700);
+  assert.equal(parseDurationToSeconds('1hr 30min'), 5400);
+});
+
+test('parseDurationToSeconds returns 0 for empty, zero and malformed durations', () => {
+  assert.equal(parseDurationToSeconds(undefined), 0);
+  assert.equal(parseDurationToSeconds('00:00'), 0);
+  assert.equal(parseDurationToSeconds('0min'), 0);
+  assert.equal(parseDurationToSeconds('90'), 0);
+});
+
+test('formatSecondsToDuration pads minutes and only adds hours when needed', () => {
+  assert.equal(formatSecondsToDuration(0), '00:00');
+  assert.equal(formatSecondsToDuration(-5), '00:00');
+  assert.equal(formatSecondsToDuration(65), '01:05');
+  assert.equal(formatSecondsToDuration(3723), '01:02:03');
+});
+
+test('formatSecondsToDuration and parseDurationToSeconds round-trip', () => {
+  for (const seconds of [1, 59, 60, 3599, 3600, 86399]) {
+    assert.equal(parseDurationToSeconds(formatSecondsToDuration(seconds)), seconds);
+  }
+});
+
+test('getContentSeconds prefers durationSeconds and falls back to the legacy duration string', () => {
+  assert.equal(getContentSeconds({ type: 'video', durationSeconds: 42, duration: '10:00' }), 42);
+  assert.equal(getContentSeconds({ type: 'video', duration: '01:30' }), 90);
+  assert.equal(getContentSeconds({ type: 'pdf', duration: '01:30' }), 0);
+});
+
+test('getTotalSeconds prefers totalSeconds and falls back to the legacy totalLength string', () => {
+  assert.equal(getTotalSeconds({ totalSeconds: 10, totalLength: '05:00' }), 10);
+  assert.equal(getTotalSeconds({ totalLength: '05:00' }), 300);
+  assert.equal(getTotalSeconds({}), 0);
+});
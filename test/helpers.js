@@ -0,0 +1,240 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const { initializeApp, getApps } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { createApp } = require('../app');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-b2-backend';
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+// Integration tests only run when the Firestore emulator is reachable (npm run test:emulator). A plain
+// `npm test` still passes without it, so say so loudly instead of letting a green run hide the skipped suites.
+const skipWithoutEmulator = EMULATOR_HOST ? false : 'FIRESTORE_EMULATOR_HOST is not set';
+if (!EMULATOR_HOST) {
+  process.stderr.write(
+    `\n*** ${path.basename(require.main?.filename || process.argv[1] || 'test')}: FIRESTORE_EMULATOR_HOST is not set, ` +
+    'so its integration tests are SKIPPED. Run `npm run test:emulator` to run them. ***\n\n',
+  );
+}
+const hasFfmpeg = spawnSync('ffmpeg', ['-version']).status === 0;
+
+function getTestFirestore() {
+  const app = getApps().find((a) => a.name === 'integration') ||
+    initializeApp({ projectId: PROJECT_ID }, 'integration');
+  return getFirestore(app);
+}
+
+// Wipes every document in the emulator between tests
+async function clearFirestore() {
+  const response = await fetch(
+    `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    { method: 'DELETE' },
+  );
+  if (!response.ok) throw new Error(`Failed to clear Firestore emulator: ${response.status}`);
+}
+
+// Tokens are "user:<uid>", "instructor:<uid>" or "admin:<uid>"; anything else is rejected like an invalid
+// Firebase token. Claims set through setCustomUserClaims are kept in `claims` and merged into later tokens.
+function createFakeAuth() {
+  const claims = new Map();
+  return {
+    claims,
+    async verifyIdToken(token) {
+      const [role, uid] = token.split(':');
+      if (!uid || !['user', 'instructor', 'admin'].includes(role)) throw new Error('Invalid token');
+      return {
+        uid,
+        ...(role === 'instructor' ? { role: 'instructor' } : {}),
+        ...(role === 'admin' ? { role: 'admin', admin: true } : {}),
+        ...claims.get(uid),
+      };
+    },
+    async getUser(uid) {
+      if (uid.startsWith('missing')) {
+        const err = new Error(`No user record for ${uid}`);
+        err.code = 'auth/user-not-found';
+        throw err;
+      }
+      return { uid, email: `${uid}@example.com`, customClaims: claims.get(uid) };
+    },
+    async setCustomUserClaims(uid, customClaims) {
+      claims.set(uid, customClaims);
+    },
+  };
+}
+
+// In-memory storage driver that records deletes so rollbacks can be asserted. Like the local driver it
+// serves files through its own router, so ffprobe can read "signed" URLs once startServer sets baseUrl.
+function createFakeStorage() {
+  const files = new Map();
+  const uploadedAt = new Map();
+  const deleted = [];
+  const router = express.Router();
+  router.get('/*key', (req, res) => {
+    const data = files.get(req.params.key.join('/'));
+    if (!data) return res.status(404).end();
+    res.type('application/octet-stream').send(data);
+  });
+  return {
+    name: 'fake',
+    baseUrl: null,
+    router,
+    files,
+    uploadedAt,
+    deleted,
+    initialize: async () => {},
+    ping: async () => {},
+    async put(key, data) {
+      files.set(key, Buffer.from(data));
+      uploadedAt.set(key, new Date());
+      return { fileId: `fake-${key}` };
+    },
+    async list(prefix) {
+      return [...files.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, data]) => ({ key, fileId: `fake-${key}`, size: data.length, uploadedAt: uploadedAt.get(key) }));
+    },
+    async delete(key) {
+      deleted.push(key);
+      return files.delete(key) ? 1 : 0;
+    },
+    async deletePrefix(prefix) {
+      const matches = await this.list(prefix);
+      for (const file of matches) await this.delete(file.key);
+      return matches.length;
+    },
+    async getSignedReadUrl(key) {
+      return { url: `${this.baseUrl}/storage/${key}?token=fake`, authorizationToken: 'fake' };
+    },
+    supportsPrefixUrls: true,
+    async download(key, localPath) {
+      fs.writeFileSync(localPath, files.get(key));
+    },
+    async downloadBuffer(key) {
+      return files.get(key);
+    },
+  };
+}
+
+// Wraps a Firestore instance so transactions fail after the first `failAfter`, simulating an outage mid-upload
+function createFailingFirestore(db, { failAfter = 0 } = {}) {
+  let transactions = 0;
+  return new Proxy(db, {
+    get(target, prop) {
+      if (prop === 'runTransaction' && transactions++ >= failAfter) {
+        return async () => { throw new Error('Simulated Firestore outage'); };
+      }
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
+
+// Starts the app on an ephemeral port with the job worker stopped and returns its base URL,
+// the app (jobs run through app.locals.jobQueue.runNext()) and a close function
+async function startServer(deps) {
+  const app = createApp({ auth: createFakeAuth(), runJobs: false, ...deps });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  deps.storage.baseUrl = baseUrl;
+  return {
+    app,
+    baseUrl,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Builds a /upload multipart body
+function uploadForm(fields, file, fileName) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+  if (file) form.append('file', new Blob([file]), fileName);
+  return form;
+}
+
+// Fixtures --------------------------------------------------------------------
+
+function pdfFixture(pages = 1) {
+  const kids = Array.from({ length: pages }, (_, i) => `${i + 3} 0 R`).join(' ');
+  const pageObjects = Array.from({ length: pages }, (_, i) => `${i + 3} 0 obj\n<< /Type /Page /Parent 2 0 R >>\nendobj\n`).join('');
+  return Buffer.from(
+    '%PDF-1.4\n' +
+    '1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n' +
+    `2 0 obj\n<< /Type /Pages /Kids [${kids}] /Count ${pages} >>\nendobj\n` +
+    pageObjects +
+    'trailer\n<< /Root 1 0 R >>\n%%EOF\n',
+    'latin1',
+  );
+}
+
+function pngFixture(width = 640, height = 360) {
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const crc32 = (buf) => {
+    let c = 0xffffffff;
+    for (const byte of buf) c = crcTable[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 0; // greyscale
+  const raw = Buffer.alloc((width + 1) * height);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Two-second MPEG-4 test pattern with the moov atom up front, so ffprobe can read it from a pipe.
+// Needs ffmpeg on the PATH.
+function videoFixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-'));
+  const output = path.join(dir, 'fixture.mp4');
+  try {
+    const result = spawnSync('ffmpeg', [
+      '-loglevel', 'error',
+      '-f', 'lavfi', '-i', 'testsrc=duration=2:size=320x240:rate=10',
+      '-c:v', 'mpeg4', '-movflags', '+faststart', output,
+    ]);
+    if (result.status !== 0) throw new Error(`ffmpeg failed: ${result.stderr}`);
+    return fs.readFileSync(output);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  skipWithoutEmulator,
+  hasFfmpeg,
+  getTestFirestore,
+  clearFirestore,
+  createFakeAuth,
+  createFakeStorage,
+  createFailingFirestore,
+  startServer,
+  uploadForm,
+  pdfFixture,
+  pngFixture,
+  videoFixture,
+};
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact } = require('../logger');
+
+test('sensitive fields and tokens are masked before logging', () => {
+  const err = new Error('Upload failed for https://f.example/a.mp4?Authorization=abc123&x=1');
+  err.code = 'B2_ERROR';
+  const result = redact({
+    headers: { authorization: 'Bearer abc.def', 'content-type': 'application/json' },
+    appKey: 'K001secret',
+    note: 'retrying with Bearer eyJhbGciOi',
+    credentials: '{"private_key": "-----BEGIN"}',
+    err,
+  });
+
+  assert.equal(result.headers.authorization, '[REDACTED]');
+  assert.equal(result.headers['content-type'], 'application/json');
+  assert.equal(result.appKey, '[REDACTED]');
+  assert.equal(result.note, 'retrying with Bearer [REDACTED]');
+  assert.equal(result.credentials, '[REDACTED]');
+  assert.equal(result.err.code, 'B2_ERROR');
+  assert.equal(result.err.message, 'Upload failed for https://f.example/a.mp4?Authorization=[REDACTED]&x=1');
+  assert.ok(!result.err.stack.includes('abc123'));
+});
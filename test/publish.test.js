@@ -0,0 +1,136 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  skipWithoutEmulator,
+  getTestFirestore,
+  clearFirestore,
+  createFakeStorage,
+  startServer,
+  uploadForm,
+  pdfFixture,
+} = require('./helpers');
+
+describe('draft and publish', { skip: skipWithoutEmulator }, () => {
+  let db;
+  let storage;
+  let server;
+
+  before(async () => {
+    db = getTestFirestore();
+    storage = createFakeStorage();
+    server = await startServer({ db, storage });
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    storage.files.clear();
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  async function call(method, path, token, body) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function uploadPdf(contentId, name) {
+    const response = await fetch(`${server.baseUrl}/upload`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer instructor:owner-1' },
+      body: uploadForm(
+        { type: 'pdf', courseId: 'c1', uploader: 'owner-1', sectionId: 's1', contentId, ...(name ? { name } : {}) },
+        pdfFixture(),
+        'notes.pdf',
+      ),
+    });
+    assert.equal(response.status, 200);
+  }
+
+  test('uploads create drafts that only instructors can see', async () => {
+    await uploadPdf('p1');
+    assert.equal((await db.doc('courses/c1').get()).data().status, 'draft');
+
+    assert.equal((await call('GET', '/course/c1')).status, 404);
+    assert.deepEqual((await call('GET', '/courses')).body.courses, []);
+    assert.equal((await call('GET', '/course/c1', 'instructor:owner-1')).body.sections[0].contents.length, 1);
+
+    assert.equal((await call('GET', '/progress/c1', 'user:student-1')).status, 404);
+    assert.equal((await call('GET', '/progress/c1', 'instructor:owner-1')).status, 200);
+  });
+
+  test('publishing validates the course, then freezes a version', async () => {
+    await uploadPdf('p1');
+    const rejected = await call('POST', '/course/c1/publish', 'instructor:owner-1');
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(
+      rejected.body.details.map((problem) => problem.code).sort(),
+      ['CONTENT_NO_TITLE', 'COURSE_NO_THUMBNAIL', 'COURSE_NO_TITLE', 'SECTION_NO_TITLE'],
+    );
+
+    await db.doc('courses/c1').update({ title: 'Course', thumbnailUrl: 'thumbnails/thumb_x.png' });
+    await db.doc('courses/c1/sections/s1').update({ title: 'Week 1' });
+    await db.doc('courses/c1/sections/s1/contents/p1').update({ title: 'Notes' });
+    const published = await call('POST', '/course/c1/publish', 'instructor:owner-1');
+    assert.equal(published.status, 201);
+    assert.equal(published.body.version, 1);
+
+    const course = await call('GET', '/course/c1');
+    assert.equal(course.status, 200);
+    assert.equal(course.body.sections[0].contents[0].title, 'Notes');
+    assert.deepEqual((await call('GET', '/courses')).body.courses.map((c) => c.id), ['c1']);
+
+    // New uploads stay hidden until the next publish
+    await uploadPdf('p2', 'Extra');
+    assert.equal((await call('GET', '/course/c1')).body.sections[0].contents.length, 1);
+  });
+
+  test('rolling back restores a version and unpublishes later additions', async () => {
+    await db.doc('courses/c1').set({ title: 'Course', uploader: 'owner-1', thumbnailUrl: 'thumbnails/thumb_x.png' });
+    await db.doc('courses/c1/sections/s1').set({ title: 'Week 1', order: 0 });
+    await db.doc('courses/c1/sections/s1/contents/p1').set({ type: 'pdf', title: 'Notes', backblazePath: 'pdfs/pdf_1.pdf' });
+    assert.equal((await call('POST', '/course/c1/publish', 'instructor:owner-1')).status, 201);
+
+    await db.doc('courses/c1').update({ title: 'Renamed' });
+    await db.doc('courses/c1/sections/s1/contents/p2').set({ type: 'pdf', title: 'Later', backblazePath: 'pdfs/pdf_2.pdf' });
+    assert.equal((await call('POST', '/course/c1/publish', 'instructor:owner-1')).body.version, 2);
+
+    const versions = await call('GET', '/course/c1/versions', 'instructor:owner-1');
+    assert.deepEqual(versions.body.versions.map((v) => v.version), [2, 1]);
+    assert.equal((await call('GET', '/course/c1/versions', 'user:student-1')).status, 403);
+
+    const rolledBack = await call('POST', '/course/c1/versions/1/rollback', 'instructor:owner-1');
+    assert.equal(rolledBack.status, 200);
+    assert.equal(rolledBack.body.restored, 1);
+
+    const course = await call('GET', '/course/c1');
+    assert.equal(course.body.title, 'Course');
+    assert.equal(course.body.publishedVersion, 1);
+    assert.deepEqual(course.body.sections[0].contents.map((c) => c.id), ['p1']);
+  });
+
+  test('rollback answers 404 for versions that are not positive integers', async () => {
+    await db.doc('courses/c1').set({ title: 'Course', uploader: 'owner-1' });
+    // Raw request: fetch would resolve the dot segments before they reach the route
+    const rawRollback = (version) => new Promise((resolve, reject) => {
+      const { hostname, port } = new URL(server.baseUrl);
+      http.request({
+        method: 'POST', host: hostname, port, path: `/course/c1/versions/${version}/rollback`,
+        headers: { Authorization: 'Bearer instructor:owner-1' },
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }).on('error', reject).end();
+    });
+    for (const version of ['%2E', '%2E%2E', '0', '01', '1.5', '__1__']) {
+      assert.equal(await rawRollback(version), 404, version);
+    }
+    assert.equal((await call('POST', '/course/c1/versions/7/rollback', 'instructor:owner-1')).status, 404);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuizQuestions, checkQuizAnswers, gradeQuizAttempt } = require('../app');
+const {
+  skipWithoutEmulator,
+  getTestFirestore,
+  clearFirestore,
+  createFakeStorage,
+  startServer,
+} = require('./helpers');
+
+const questions = [
+  { type: 'multiple_choice', prompt: 'Pick the primes', choices: ['2', '4', '5'], correct: [0, 2], points: 2 },
+  { id: 'capital', type: 'short_answer', prompt: 'Capital of France?', acceptedAnswers: ['Paris'] },
+];
+
+test('quiz questions are split into what students see and the answer key', () => {
+  const parsed = parseQuizQuestions(questions);
+  assert.equal(parsed.totalPoints, 3);
+  assert.deepEqual(parsed.questions[0], { id: 'q1', type: 'multiple_choice', prompt: 'Pick the primes', points: 2, choices: ['2', '4', '5'], multiple: true });
+  assert.equal(parsed.questions[1].acceptedAnswers, undefined);
+  assert.deepEqual(parsed.answerKey, { q1: { correct: [0, 2] }, capital: { acceptedAnswers: ['Paris'], caseSensitive: false } });
+
+  assert.equal(parseQuizQuestions([]).error, 'Invalid questions');
+  assert.equal(parseQuizQuestions([{ ...questions[0], correct: [3] }]).error, 'Invalid correct choices');
+  assert.equal(parseQuizQuestions([questions[1], questions[1]]).error, 'Invalid question id');
+});
+
+test('attempts are graded on exact choices and normalized short answers', () => {
+  const { questions: visible, answerKey } = parseQuizQuestions(questions);
+  const { answers } = checkQuizAnswers(visible, { q1: [2, 0], capital: '  paris ' });
+  const grade = gradeQuizAttempt(visible, answerKey, answers);
+  assert.deepEqual(grade, {
+    score: 3,
+    maxScore: 3,
+    percent: 100,
+    results: [{ questionId: 'q1', correct: true, points: 2 }, { questionId: 'capital', correct: true, points: 1 }],
+  });
+
+  const partial = gradeQuizAttempt(visible, answerKey, checkQuizAnswers(visible, { q1: 0 }).answers);
+  assert.equal(partial.score, 0);
+  assert.equal(checkQuizAnswers(visible, { unknown: 'x' }).error, 'Invalid answers');
+  assert.equal(checkQuizAnswers(visible, { q1: [7] }).error, 'Invalid answers');
+});
+
+describe('quizzes', { skip: skipWithoutEmulator }, () => {
+  let db;
+  let server;
+
+  before(async () => {
+    db = getTestFirestore();
+    server = await startServer({ db, storage: createFakeStorage() });
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await db.doc('courses/c1').set({ title: 'Course', uploader: 'owner-1', status: 'published' });
+    await db.doc('courses/c1/enrollments/student-1').set({ uid: 'student-1' });
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  async function call(method, path, token, body) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function createPublishedQuiz(settings = {}) {
+    const created = await call('POST', '/course/c1/sections/s1/quizzes', 'instructor:owner-1', {
+      contentId: 'quiz1', title: 'Check-in', order: 2, questions, ...settings,
+    });
+    assert.equal(created.status, 201);
+    assert.equal((await db.doc('courses/c1/sections/s1').get()).data().status, 'draft');
+    await db.doc('courses/c1/sections/s1').update({ status: 'published' });
+    await db.doc('courses/c1/sections/s1/contents/quiz1').update({ status: 'published' });
+    return created.body;
+  }
+
+  test('quizzes are created as drafts and never expose the answer key', async () => {
+    const quiz = await createPublishedQuiz();
+    assert.equal(quiz.type, 'quiz');
+    assert.equal(quiz.status, 'draft');
+    assert.equal(quiz.questionCount, 2);
+    assert.deepEqual((await db.doc('courses/c1/quizKeys/quiz1').get()).data().answers.q1, { correct: [0, 2] });
+
+    const [content] = (await call('GET', '/course/c1', 'user:student-1')).body.sections[0].contents;
+    assert.equal(content.order, 2);
+    assert.equal(content.questions[1].prompt, 'Capital of France?');
+    assert.ok(!JSON.stringify(content).includes('Paris'));
+    const [locked] = (await call('GET', '/course/c1')).body.sections[0].contents;
+    assert.equal(locked.questions, undefined);
+    assert.equal(locked.questionCount, 2);
+
+    const editing = await call('GET', '/course/c1/sections/s1/quizzes/quiz1', 'instructor:owner-1');
+    assert.deepEqual(editing.body.questions[1].acceptedAnswers, ['Paris']);
+    assert.equal((await call('GET', '/course/c1/sections/s1/quizzes/quiz1', 'user:student-1')).status, 403);
+
+    const duplicate = await call('POST', '/course/c1/sections/s2/quizzes', 'instructor:owner-1', { contentId: 'quiz1', questions });
+    assert.equal(duplicate.status, 409);
+  });
+
+  test('attempts are graded, limited and stored per student', async () => {
+    await createPublishedQuiz({ maxAttempts: 2, passingPercent: 60 });
+    const path = '/course/c1/sections/s1/quizzes/quiz1/attempts';
+
+    const failed = await call('POST', path, 'user:student-1', { answers: { q1: [0], capital: 'Paris' } });
+    assert.equal(failed.status, 201);
+    assert.equal(failed.body.score, 1);
+    assert.equal(failed.body.passed, false);
+    assert.equal(failed.body.attemptsRemaining, 1);
+
+    const passed = await call('POST', path, 'user:student-1', { answers: { q1: [0, 2], capital: 'paris' } });
+    assert.equal(passed.body.percent, 100);
+    assert.equal(passed.body.passed, true);
+    const progress = (await db.doc('users/student-1/progress/c1/contentProgress/quiz1').get()).data();
+    assert.equal(progress.completed, true);
+    assert.equal(progress.quizAttempts, 2);
+
+    const limited = await call('POST', path, 'user:student-1', { answers: {} });
+    assert.equal(limited.status, 409);
+    assert.equal(limited.body.error, 'No attempts left');
+    assert.equal((await call('POST', path, 'user:outsider', { answers: {} })).status, 403);
+
+    const listed = await call('GET', path, 'user:student-1');
+    assert.deepEqual(listed.body.attempts.map((attempt) => attempt.percent), [33.3, 100]);
+    assert.equal(listed.body.attemptsRemaining, 0);
+    assert.equal((await call('GET', `${path}?uid=student-1`, 'user:student-2')).status, 403);
+    assert.equal((await call('GET', `${path}?uid=student-1`, 'instructor:owner-1')).body.attempts.length, 2);
+    assert.equal((await call('GET', `${path}?uid=student-1&uid=student-2`, 'instructor:owner-1')).status, 400);
+    assert.equal((await call('GET', `${path}?uid=`, 'user:student-1')).status, 400);
+  });
+
+  test('quizzes in a draft section stay closed to students', async () => {
+    await createPublishedQuiz();
+    await db.doc('courses/c1/sections/s1').update({ status: 'draft' });
+    const path = '/course/c1/sections/s1/quizzes/quiz1/attempts';
+    assert.equal((await call('POST', path, 'user:student-1', { answers: {} })).status, 404);
+    assert.equal((await call('GET', path, 'user:student-1')).status, 404);
+    assert.equal((await call('GET', path, 'instructor:owner-1')).status, 200);
+  });
+
+  test('new questions return the quiz to draft and deleting it removes the answer key', async () => {
+    await createPublishedQuiz();
+    const updated = await call('PATCH', '/course/c1/sections/s1/quizzes/quiz1', 'instructor:owner-1', {
+      questions: [questions[1]],
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.status, 'draft');
+    assert.equal((await call('GET', '/course/c1', 'user:student-1')).body.sections[0].contents.length, 0);
+    assert.equal((await call('POST', '/course/c1/sections/s1/quizzes/quiz1/attempts', 'user:student-1', { answers: {} })).status, 404);
+
+    const deleted = await call('DELETE', '/course/c1/sections/s1/contents/quiz1', 'instructor:owner-1');
+    assert.equal(deleted.status, 200);
+    assert.equal((await db.doc('courses/c1/quizKeys/quiz1').get()).exists, false);
+  });
+});
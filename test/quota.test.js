@@ -0,0 +1,110 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutEmulator,
+  getTestFirestore,
+  clearFirestore,
+  createFakeStorage,
+  startServer,
+  uploadForm,
+  pdfFixture,
+} = require('./helpers');
+
+describe('storage quotas and rate limits', { skip: skipWithoutEmulator }, () => {
+  let db;
+  let storage;
+  let server;
+
+  before(async () => {
+    db = getTestFirestore();
+    storage = createFakeStorage();
+    server = await startServer({
+      db,
+      storage,
+      rateLimits: {
+        upload: { windowMs: 60 * 1000, perIp: 0, perUid: 5 },
+        fileUrl: { windowMs: 60 * 1000, perIp: 3, perUid: 0 },
+      },
+    });
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    storage.files.clear();
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  async function call(method, path, token, body) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  async function uploadPdf(contentId, uid = 'owner-1') {
+    const response = await fetch(`${server.baseUrl}/upload`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer instructor:${uid}` },
+      body: uploadForm({ type: 'pdf', courseId: `course-${uid}`, uploader: uid, sectionId: 's1', contentId }, pdfFixture(), 'notes.pdf'),
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  test('uploads count towards the quota and deletes give the space back', async () => {
+    const size = pdfFixture().length;
+    await call('PUT', '/admin/users/owner-1/storage', 'admin:ops', { quotaBytes: size + 10 });
+
+    assert.equal((await uploadPdf('p1')).status, 200);
+    const usage = await call('GET', '/usage/storage', 'instructor:owner-1');
+    assert.equal(usage.body.bytesUsed, size);
+    assert.equal(usage.body.bytesRemaining, 10);
+
+    const rejected = await uploadPdf('p2');
+    assert.equal(rejected.status, 413);
+    assert.equal(rejected.body.code, 'QUOTA_EXCEEDED');
+    assert.equal(storage.files.size, 1);
+
+    assert.equal((await call('DELETE', '/course/course-owner-1/sections/s1/contents/p1', 'instructor:owner-1')).status, 200);
+    assert.equal((await call('GET', '/usage/storage', 'instructor:owner-1')).body.bytesUsed, 0);
+    assert.equal((await uploadPdf('p2')).status, 200);
+  });
+
+  test('re-uploading a content deletes the file it replaces', async () => {
+    const first = await uploadPdf('p1');
+    const second = await uploadPdf('p1');
+    assert.equal(second.status, 200);
+    assert.deepEqual([...storage.files.keys()], [second.body.fileUrl]);
+    assert.ok(storage.deleted.includes(first.body.fileUrl));
+    assert.equal((await call('GET', '/usage/storage', 'instructor:owner-1')).body.bytesUsed, pdfFixture().length);
+  });
+
+  test('only admins read or change other users\' quotas', async () => {
+    assert.equal((await call('GET', '/admin/users/owner-1/storage', 'instructor:owner-1')).status, 403);
+    assert.equal((await call('PUT', '/admin/users/owner-1/storage', 'admin:ops', { quotaBytes: -1 })).status, 400);
+
+    const reset = await call('PUT', '/admin/users/owner-1/storage', 'admin:ops', { quotaBytes: null });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.customQuota, false);
+  });
+
+  test('upload and signed-URL routes are rate limited', async () => {
+    // The upload limiter counted the uploads of the earlier tests, so use a fresh uid
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await uploadPdf(`r${i}`, 'burst-1')).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+
+    const fileUrl = [];
+    for (let i = 0; i < 4; i++) {
+      fileUrl.push(await call('GET', '/file-url?file=pdfs/missing.pdf'));
+    }
+    assert.deepEqual(fileUrl.map((response) => response.status), [404, 404, 404, 429]);
+    assert.ok(Number(fileUrl[3].headers.get('retry-after')) > 0);
+  });
+});
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../ratelimit');
+
+test('requests over the limit are refused until the window resets', async () => {
+  const limiter = createRateLimiter({ windowMs: 50, max: 2 });
+  assert.equal(limiter.hit('uid-1').allowed, true);
+  assert.equal(limiter.hit('uid-1').allowed, true);
+
+  const refused = limiter.hit('uid-1');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfter, 1);
+  // Keys are counted separately
+  assert.equal(limiter.hit('uid-2').allowed, true);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(limiter.hit('uid-1').allowed, true);
+});
@@ -0,0 +1,87 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutEmulator,
+  getTestFirestore,
+  clearFirestore,
+  createFakeStorage,
+  startServer,
+} = require('./helpers');
+
+describe('storage reconciliation', { skip: skipWithoutEmulator }, () => {
+  let db;
+  let storage;
+  let server;
+  const twoDaysAgo = new Date(Date.now() - 48 * 3600 * 1000);
+
+  before(async () => {
+    db = getTestFirestore();
+    storage = createFakeStorage();
+    server = await startServer({ db, storage });
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    storage.files.clear();
+    storage.deleted.length = 0;
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  async function call(method, path, token = 'admin:ops') {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: method === 'POST' ? '{}' : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function seed() {
+    await db.doc('courses/c1').set({ title: 'Course', thumbnailUrl: 'thumbnails/thumb_kept.png' });
+    await db.doc('courses/c1/sections/s1/contents/v1').set({ type: 'video', backblazePath: 'videos/vid_kept.mp4' });
+    await db.doc('courses/c1/sections/s1/contents/p1').set({ type: 'pdf', backblazePath: 'pdfs/pdf_gone.pdf' });
+    for (const key of [
+      'thumbnails/thumb_kept.png',
+      'videos/vid_kept.mp4',
+      'videos/vid_kept/hls/master.m3u8',
+      'thumbnails/thumb_old.png',
+      'pdfs/pdf_recent.pdf',
+    ]) {
+      await storage.put(key, Buffer.from(key));
+      if (key !== 'pdfs/pdf_recent.pdf') storage.uploadedAt.set(key, twoDaysAgo);
+    }
+  }
+
+  test('is admin only', async () => {
+    const { status } = await call('POST', '/admin/storage/reconcile', 'user:instructor-1');
+    assert.equal(status, 403);
+  });
+
+  test('reports orphans and missing files without deleting anything', async () => {
+    await seed();
+    const { status, body } = await call('POST', '/admin/storage/reconcile');
+    assert.equal(status, 201);
+    assert.equal(body.status, 'dry-run');
+    assert.deepEqual(body.orphans.map((orphan) => orphan.key).sort(), ['pdfs/pdf_recent.pdf', 'thumbnails/thumb_old.png']);
+    assert.equal(body.orphans.find((orphan) => orphan.key === 'pdfs/pdf_recent.pdf').deletable, false);
+    assert.deepEqual(body.missing.map((item) => item.key), ['pdfs/pdf_gone.pdf']);
+    assert.equal(storage.deleted.length, 0);
+  });
+
+  test('deletes only orphans past the grace period, once per report', async () => {
+    await seed();
+    const { body: report } = await call('POST', '/admin/storage/reconcile');
+
+    const { status, body } = await call('POST', `/admin/storage/reports/${report.id}/delete`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.deleted, ['thumbnails/thumb_old.png']);
+    assert.deepEqual(body.skipped.map((item) => item.key), ['pdfs/pdf_recent.pdf']);
+    assert.ok(storage.files.has('videos/vid_kept/hls/master.m3u8'));
+
+    const again = await call('POST', `/admin/storage/reports/${report.id}/delete`);
+    assert.equal(again.status, 409);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutEmulator,
+  getTestFirestore,
+  clearFirestore,
+  createFakeAuth,
+  createFakeStorage,
+  startServer,
+  uploadForm,
+  pdfFixture,
+} = require('./helpers');
+
+describe('roles and course ownership', { skip: skipWithoutEmulator }, () => {
+  let db;
+  let auth;
+  let storage;
+  let server;
+
+  before(async () => {
+    db = getTestFirestore();
+    auth = createFakeAuth();
+    storage = createFakeStorage();
+    server = await startServer({ db, auth, storage });
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    auth.claims.clear();
+    storage.files.clear();
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  async function call(method, path, token, body) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function upload(courseId, token, uploader) {
+    const response = await fetch(`${server.baseUrl}/upload`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: uploadForm({ type: 'pdf', courseId, uploader, sectionId: 's1', contentId: 'p1' }, pdfFixture(), 'notes.pdf'),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('students cannot create courses by uploading', async () => {
+    const { status } = await upload('new-course', 'user:student-1', 'student-1');
+    assert.equal(status, 403);
+    assert.equal((await db.doc('courses/new-course').get()).exists, false);
+    assert.equal(storage.files.size, 0);
+  });
+
+  test('instructors cannot upload into a course they do not teach', async () => {
+    await db.doc('courses/c1').set({ title: 'Course', uploader: 'owner-1' });
+    const { status } = await upload('c1', 'instructor:intruder', 'intruder');
+    assert.equal(status, 403);
+    assert.equal(storage.files.size, 0);
+  });
+
+  test('co-instructors can upload but only the owner manages instructors', async () => {
+    await db.doc('courses/c1').set({ title: 'Course', uploader: 'owner-1' });
+
+    const notInstructor = await call('POST', '/course/c1/instructors', 'instructor:owner-1', { uid: 'student-1' });
+    assert.equal(notInstructor.status, 400);
+
+    await auth.setCustomUserClaims('helper-1', { role: 'instructor' });
+    const added = await call('POST', '/course/c1/instructors', 'instructor:owner-1', { uid: 'helper-1' });
+    assert.equal(added.status, 201);
+    assert.deepEqual((await db.doc('courses/c1').get()).data().instructors, ['helper-1']);
+
+    assert.equal((await upload('c1', 'user:helper-1', 'helper-1')).status, 200);
+    assert.equal((await call('DELETE', '/course/c1/instructors/helper-1', 'user:helper-1')).status, 403);
+    assert.equal((await call('DELETE', '/course/c1', 'user:helper-1')).status, 403);
+
+    const removed = await call('DELETE', '/course/c1/instructors/helper-1', 'instructor:owner-1');
+    assert.equal(removed.status, 200);
+    assert.equal((await upload('c1', 'user:helper-1', 'helper-1')).status, 403);
+  });
+
+  test('enrolling or adding an instructor without a string uid is rejected', async () => {
+    await db.doc('courses/c1').set({ title: 'Course', uploader: 'owner-1' });
+    for (const path of ['/course/c1/enrollments', '/course/c1/instructors']) {
+      for (const body of [undefined, { uid: 5 }, { uid: {} }, { uid: '  ' }]) {
+        const response = await call('POST', path, 'instructor:owner-1', body);
+        assert.equal(response.status, 400, `${path} ${JSON.stringify(body)}`);
+        assert.deepEqual(response.body, { error: 'Missing uid', details: 'uid is required' });
+      }
+    }
+  });
+
+  test('admins grant and revoke roles', async () => {
+    assert.equal((await call('PUT', '/admin/users/u1/role', 'instructor:i1', { role: 'admin' })).status, 403);
+    assert.equal((await call('PUT', '/admin/users/u1/role', 'admin:ops', { role: 'owner' })).status, 400);
+    assert.equal((await call('PUT', '/admin/users/missing-1/role', 'admin:ops', { role: 'instructor' })).status, 404);
+
+    await auth.setCustomUserClaims('u1', { plan: 'pro' });
+    const granted = await call('PUT', '/admin/users/u1/role', 'admin:ops', { role: 'instructor' });
+    assert.equal(granted.status, 200);
+    assert.deepEqual(auth.claims.get('u1'), { plan: 'pro', role: 'instructor', admin: false });
+    assert.equal((await call('GET', '/admin/users/u1/role', 'admin:ops')).body.role, 'instructor');
+    assert.equal((await upload('course-u1', 'user:u1', 'u1')).status, 200);
+
+    const revoked = await call('DELETE', '/admin/users/u1/role', 'admin:ops');
+    assert.equal(revoked.status, 200);
+    assert.deepEqual(auth.claims.get('u1'), { plan: 'pro' });
+  });
+
+  test('admins cannot demote themselves', async () => {
+    assert.equal((await call('PUT', '/admin/users/ops/role', 'admin:ops', { role: 'student' })).status, 400);
+    assert.equal((await call('DELETE', '/admin/users/ops/role', 'admin:ops')).status, 400);
+  });
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createLocalStorage } = require('../storage/local');
+
+let rootDir;
+let server;
+let storage;
+
+before(async () => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+  const app = express();
+  app.use('/storage', (req, res, next) => storage.router(req, res, next));
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  storage = createLocalStorage({ rootDir, baseUrl: `http://127.0.0.1:${server.address().port}`, secret: 'test-secret' });
+  await storage.put('pdfs/pdf_a.pdf', Buffer.from('public'));
+  await storage.put('pdfs/pdf_secret.pdf', Buffer.from('secret'));
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+// Raw request: fetch and URL would normalize the dot segments before they reach the router
+function rawGet(requestPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: requestPath }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+    }).on('error', reject);
+  });
+}
+
+test('signed URLs serve their own file only', async () => {
+  const { url } = await storage.getSignedReadUrl('pdfs/pdf_a.pdf');
+  const { pathname, search } = new URL(url);
+  assert.deepEqual(await rawGet(`${pathname}${search}`), { status: 200, body: 'public' });
+
+  for (const traversal of ['/pdfs/pdf_a.pdf/%2e%2e/pdf_secret.pdf', '/pdfs/pdf_a.pdf/../pdf_secret.pdf', '/pdfs/pdf_a.pdf//pdf_secret.pdf']) {
+    const response = await rawGet(`/storage${traversal}${search}`);
+    assert.equal(response.status, 403, traversal);
+    assert.ok(!response.body.includes('secret'));
+  }
+});
+
+test('S3 deletes target the version the upload returned', async (t) => {
+  const { S3Client } = require('@aws-sdk/client-s3');
+  const { createS3Storage } = require('../storage/s3');
+  const sent = [];
+  t.mock.method(S3Client.prototype, 'send', async (command) => {
+    sent.push(command.input);
+    return { VersionId: 'v-123' };
+  });
+  const s3 = createS3Storage({ bucket: 'b', accessKeyId: 'k', secretAccessKey: 's' });
+
+  const { fileId } = await s3.put('pdfs/pdf_a.pdf', Buffer.from('x'));
+  await s3.delete('pdfs/pdf_a.pdf', { fileId });
+  await s3.delete('pdfs/pdf_b.pdf', { fileId: 'pdfs/pdf_b.pdf' });
+  assert.equal(sent[1].VersionId, 'v-123');
+  assert.equal(sent[2].VersionId, undefined);
+  assert.equal(s3.supportsPrefixUrls, false);
+});
+
+test('S3 prefix deletes remove every version and delete marker', async (t) => {
+  const { S3Client } = require('@aws-sdk/client-s3');
+  const { createS3Storage } = require('../storage/s3');
+  const deleted = [];
+  t.mock.method(S3Client.prototype, 'send', async (command) => {
+    if (command.constructor.name === 'ListObjectVersionsCommand') {
+      return command.input.KeyMarker
+        ? { Versions: [{ Key: 'videos/vid_a/hls/b.ts', VersionId: 'v3' }] }
+        : {
+          Versions: [{ Key: 'videos/vid_a/hls/a.ts', VersionId: 'v1' }, { Key: 'videos/vid_a/hls/a.ts', VersionId: 'v2' }],
+          DeleteMarkers: [{ Key: 'videos/vid_a/hls/old.ts', VersionId: 'm1' }],
+          IsTruncated: true,
+          NextKeyMarker: 'videos/vid_a/hls/a.ts',
+          NextVersionIdMarker: 'v2',
+        };
+    }
+    deleted.push(...command.input.Delete.Objects);
+    return {};
+  });
+  const s3 = createS3Storage({ bucket: 'b', accessKeyId: 'k', secretAccessKey: 's' });
+
+  assert.equal(await s3.deletePrefix('videos/vid_a/'), 2);
+  assert.deepEqual(deleted.map(({ Key, VersionId }) => `${Key}@${VersionId}`).sort(), [
+    'videos/vid_a/hls/a.ts@v1',
+    'videos/vid_a/hls/a.ts@v2',
+    'videos/vid_a/hls/b.ts@v3',
+    'videos/vid_a/hls/old.ts@m1',
+  ]);
+});
@@ -0,0 +1,208 @@
+const { describe, test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutEmulator,
+  hasFfmpeg,
+  getTestFirestore,
+  clearFirestore,
+  createFakeStorage,
+  createFailingFirestore,
+  startServer,
+  uploadForm,
+  pdfFixture,
+  pngFixture,
+  videoFixture,
+} = require('./helpers');
+
+describe('POST /upload', { skip: skipWithoutEmulator }, () => {
+  let db;
+  let storage;
+  let server;
+
+  before(async () => {
+    db = getTestFirestore();
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    storage = createFakeStorage();
+    server = await startServer({ db, storage });
+  });
+
+  afterEach(async () => {
+    await server?.close();
+  });
+
+  async function upload(fields, file, fileName, token = 'instructor:instructor-1') {
+    const response = await fetch(`${server.baseUrl}/upload`, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: uploadForm(fields, file, fileName),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const baseFields = { courseId: 'course-1', uploader: 'instructor-1', sectionId: 'section-1' };
+
+  test('rejects requests without an ID token', async () => {
+    const { status } = await upload({ ...baseFields, type: 'pdf', contentId: 'c1' }, pdfFixture(), 'notes.pdf', null);
+    assert.equal(status, 401);
+    assert.equal(storage.files.size, 0);
+  });
+
+  test('stores a pdf and creates the course, section and content documents', async () => {
+    const { status, body } = await upload({ ...baseFields, type: 'pdf', contentId: 'c1', name: 'Notes' }, pdfFixture(3), 'notes.pdf');
+    assert.equal(status, 200);
+    assert.match(body.fileUrl, /^pdfs\/pdf_.+\.pdf$/);
+    assert.ok(storage.files.has(body.fileUrl));
+
+    const content = (await db.doc('courses/course-1/sections/section-1/contents/c1').get()).data();
+    assert.equal(content.type, 'pdf');
+    assert.equal(content.title, 'Notes');
+    assert.equal(content.backblazePath, body.fileUrl);
+    assert.equal(content.pageCount, 3);
+    assert.equal((await db.doc('courses/course-1').get()).data().uploader, 'instructor-1');
+  });
+
+  test('stores a thumbnail on an existing course', async () => {
+    await db.doc('courses/course-1').set({ title: 'Course', uploader: 'instructor-1' });
+    const { status, body } = await upload({ ...baseFields, type: 'thumbnail' }, pngFixture(), 'cover.png');
+    assert.equal(status, 200);
+    assert.match(body.thumbnailUrl, /^thumbnails\/thumb_.+\.png$/);
+
+    const course = (await db.doc('courses/course-1').get()).data();
+    assert.equal(course.thumbnailUrl, body.thumbnailUrl);
+    assert.equal(course.hasThumbnail, true);
+  });
+
+  test('accepts a video right away and probes it in a job', { skip: !hasFfmpeg && 'ffmpeg is not installed' }, async () => {
+    const { status, body } = await upload({ ...baseFields, type: 'video', contentId: 'v1' }, videoFixture(), 'lecture.mp4');
+    assert.equal(status, 202);
+    assert.match(body.fileUrl, /^videos\/vid_.+\.mp4$/);
+    assert.equal(body.processingStatus, 'pending');
+    assert.ok(body.jobId);
+
+    const contentRef = db.doc('courses/course-1/sections/section-1/contents/v1');
+    assert.equal((await contentRef.get()).data().durationSeconds, 0);
+
+    assert.equal(await server.app.locals.jobQueue.runNext(), body.jobId);
+
+    const content = (await contentRef.get()).data();
+    assert.equal(content.durationSeconds, 2);
+    assert.equal(content.duration, '00:02');
+    assert.equal(content.processingStatus, 'ready');
+    assert.equal((await db.doc('courses/course-1/sections/section-1').get()).data().totalSeconds, 2);
+    assert.equal((await db.doc('courses/course-1').get()).data().totalSeconds, 2);
+
+    const jobResponse = await fetch(`${server.baseUrl}/jobs/${body.jobId}`, { headers: { Authorization: 'Bearer instructor:instructor-1' } });
+    const job = await jobResponse.json();
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.result.durationSeconds, 2);
+    assert.equal(job.result.previewJobId, `${body.jobId}-previews`);
+  });
+
+  test('only the uploader can poll a job', async () => {
+    const jobId = await server.app.locals.jobQueue.enqueue('probe-video', {}, { createdBy: 'instructor-1' });
+    const response = await fetch(`${server.baseUrl}/jobs/${jobId}`, { headers: { Authorization: 'Bearer user:someone-else' } });
+    assert.equal(response.status, 403);
+    const missing = await fetch(`${server.baseUrl}/jobs/missing`, { headers: { Authorization: 'Bearer instructor:instructor-1' } });
+    assert.equal(missing.status, 404);
+  });
+
+  test('rejects files whose contents do not match the declared type', async () => {
+    const { status, body } = await upload({ ...baseFields, type: 'video', contentId: 'v1' }, pdfFixture(), 'lecture.mp4');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'CONTENT_TYPE_MISMATCH');
+    assert.equal(storage.files.size, 0);
+  });
+
+  test('rejects unknown upload types', async () => {
+    const { status } = await upload({ ...baseFields, type: 'audio', contentId: 'a1' }, pdfFixture(), 'a.mp3');
+    assert.equal(status, 400);
+  });
+
+  test('deletes the stored file when the Firestore write fails', async () => {
+    await server.close();
+    // The quota reservation goes through; the content write is the one that fails
+    server = await startServer({ db: createFailingFirestore(db, { failAfter: 1 }), storage });
+
+    const { status, body } = await upload({ ...baseFields, type: 'pdf', contentId: 'c1' }, pdfFixture(), 'notes.pdf');
+    assert.equal(status, 500);
+    assert.equal(body.error, 'Firestore write failed');
+    assert.equal(storage.deleted.length, 1);
+    assert.match(storage.deleted[0], /^pdfs\/pdf_.+\.pdf$/);
+    assert.equal(storage.files.size, 0);
+    assert.equal((await db.doc('courses/course-1/sections/section-1/contents/c1').get()).exists, false);
+    assert.equal((await db.doc('storageUsage/instructor-1').get()).data().bytesUsed, 0);
+  });
+
+  test('sends files that fit in one part to the simple upload', async () => {
+    const response = await fetch(`${server.baseUrl}/uploads`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer instructor:instructor-1', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...baseFields, type: 'pdf', contentId: 'c1', fileName: 'notes.pdf', fileSize: 1024 }),
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).details, /POST \/upload/);
+    assert.equal((await db.collection('uploadSessions').get()).size, 0);
+  });
+
+  test('rejects a thumbnail for a course that does not exist', async () => {
+    const { status, body } = await upload({ ...baseFields, type: 'thumbnail' }, pngFixture(), 'cover.png');
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Course not found');
+    assert.equal(storage.files.size, 0);
+  });
+
+  describe('captions', () => {
+    const contentPath = 'courses/course-1/sections/section-1/contents/v1';
+    const srt = (end) => Buffer.from(`1\n00:00:01,000 --> ${end}\nHello\n`);
+
+    beforeEach(async () => {
+      await db.doc('courses/course-1').set({ title: 'Course', uploader: 'instructor-1' });
+      await db.doc('courses/course-1/sections/section-1').set({ title: 'Week 1' });
+      await db.doc(contentPath).set({
+        type: 'video',
+        backblazePath: 'videos/vid_abc.mp4',
+        durationSeconds: 10,
+        processingStatus: 'ready',
+      });
+    });
+
+    test('stores SRT as a WebVTT track and replaces it per language', async () => {
+      const first = await upload({ ...baseFields, type: 'caption', contentId: 'v1', language: 'en' }, srt('00:00:04,000'), 'en.srt');
+      assert.equal(first.status, 200);
+      assert.match(first.body.captionUrl, /^videos\/vid_abc\/captions\/en_.+\.vtt$/);
+      assert.match(storage.files.get(first.body.captionUrl).toString(), /^WEBVTT\n\n00:00:01\.000 --> 00:00:04\.000\nHello/);
+
+      const second = await upload({ ...baseFields, type: 'caption', contentId: 'v1', language: 'en', label: 'English' }, srt('00:00:05,000'), 'en.srt');
+      assert.equal(second.status, 200);
+      assert.deepEqual(storage.deleted, [first.body.captionUrl]);
+
+      const { captions } = (await db.doc(contentPath).get()).data();
+      assert.equal(captions.length, 1);
+      assert.equal(captions[0].path, second.body.captionUrl);
+      assert.equal(captions[0].label, 'English');
+    });
+
+    test('rejects cues past the end of the video and videos still processing', async () => {
+      const late = await upload({ ...baseFields, type: 'caption', contentId: 'v1', language: 'en' }, srt('00:00:30,000'), 'en.srt');
+      assert.equal(late.status, 400);
+      assert.equal(late.body.code, 'CAPTION_PAST_END');
+
+      await db.doc(contentPath).update({ processingStatus: 'pending', durationSeconds: 0 });
+      const pending = await upload({ ...baseFields, type: 'caption', contentId: 'v1', language: 'en' }, srt('00:00:04,000'), 'en.srt');
+      assert.equal(pending.status, 409);
+      assert.equal(storage.files.size, 0);
+    });
+
+    test('lists tracks without paths on locked contents', async () => {
+      await upload({ ...baseFields, type: 'caption', contentId: 'v1', language: 'pt-BR' }, srt('00:00:04,000'), 'pt.srt');
+      const response = await fetch(`${server.baseUrl}/course/course-1`);
+      const [content] = (await response.json()).sections[0].contents;
+      assert.equal(content.locked, true);
+      assert.equal(content.captions[0].language, 'pt-BR');
+      assert.equal(content.captions[0].path, undefined);
+    });
+  });
+});